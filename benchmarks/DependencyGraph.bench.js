@@ -20,6 +20,12 @@ for (let i = 0; i < EDGE_COUNT; i++) {
   }
 }
 
+// Same graph with the reachability cache enabled
+const cachedGraph = new DependencyGraph({ reachabilityCache: true });
+for (const edge of graph.getEdgesByType('benchmark')) {
+  cachedGraph.addEdge(edge.from, edge.to, edge.type);
+}
+
 let serializedGraph;
 
 console.log(`Running benchmarks with ${NODE_COUNT} nodes and approximately ${EDGE_COUNT} edges...\n`);
@@ -48,6 +54,9 @@ suite
   .add('getDependents', () => {
     graph.getDependents('node0');
   })
+  .add('getDependents (cached)', () => {
+    cachedGraph.getDependents('node0');
+  })
   .add('serialize', () => {
     serializedGraph = graph.serialize();
   })
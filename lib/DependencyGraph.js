@@ -1,3 +1,80 @@
+const { CircularDependencyError } = require('./errors.js');
+
+/**
+ * The change events a graph emits, besides 'change' which delivers them in batches.
+ * @type {string[]}
+ */
+const CHANGE_EVENTS = ['nodeAdded', 'nodeRemoved', 'nodeUpdated', 'edgeAdded', 'edgeRemoved', 'edgeUpdated'];
+
+/**
+ * Compares two node or edge data values structurally.
+ * @param {any} a - The first value.
+ * @param {any} b - The second value.
+ * @returns {boolean} - True if both values hold the same data.
+ */
+function isEqualData(a, b) {
+  if (Object.is(a, b)) {
+    return true;
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) {
+    return false;
+  }
+  return keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && isEqualData(a[key], b[key]));
+}
+
+/**
+ * A minimal binary min-heap of [priority, value] pairs, used by weighted searches.
+ */
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
 /**
  * @class DependencyGraph
  * @description A class to represent and manage a directed graph of dependencies,
@@ -7,8 +84,17 @@
 module.exports = class DependencyGraph {
   /**
    * @constructor
+   * @param {Object} [options={}] - Graph options.
+   * @param {boolean|string|string[]} [options.acyclic=false] - When set, addEdge rejects any edge that would close a cycle.
+   * Pass true to guard all edges, or edge type(s) to only keep edges of those types acyclic.
+   * @param {boolean|{limit: number}} [options.history=false] - When set, every change is recorded so it can be undone.
+   * `limit` bounds the number of undo steps kept (defaults to 100).
+   * @param {boolean} [options.reachabilityCache=false] - When set, the nodes reachable from each queried node are memoized,
+   * making repeated isReachable, getDependents and getDependencies calls near-constant time.
    */
-  constructor() {
+  constructor(options = {}) {
+    const { acyclic = false, history = false, reachabilityCache = false } = options;
+
     /**
      * @private
      * @type {Map<string, Set<string>>}
@@ -27,27 +113,508 @@ module.exports = class DependencyGraph {
 
     /**
      * @private
-     * @type {Map<string, {to: string, type: string}>}
-     * Stores the edges with their types. The key is a unique identifier for the edge,
-     * formatted as 'fromNodeId->toNodeId'.
+     * @type {Map<string, Map<string, {from: string, to: string, type: string, data: any}>>}
+     * Stores the edges between each pair of nodes. The key is formatted as 'fromNodeId->toNodeId',
+     * and the value maps each edge type to its edge, so a pair can be linked by several types.
      */
     this.edges = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, any>}
+     * Stores the data attached to each node. The key is the node ID.
+     */
+    this.nodeData = new Map();
+
+    /**
+     * @private
+     * @type {boolean}
+     * Whether addEdge rejects edges that would close a cycle.
+     */
+    this._acyclic = Boolean(acyclic);
+
+    /**
+     * @private
+     * @type {string[]|null}
+     * The edge types kept acyclic, or null when all types are guarded.
+     */
+    this._acyclicTypes = acyclic === true ? null : this._normalizeEdgeTypes(acyclic);
+
+    /**
+     * @private
+     * @type {Map<string, number>|null}
+     * Incrementally maintained topological order of the guarded edges (Pearce-Kelly).
+     * The key is the node ID, and the value is its position. Only set in acyclic mode.
+     */
+    this._order = this._acyclic ? new Map() : null;
+    this._nextOrder = 0;
+
+    /**
+     * @private
+     * @type {Map<string, Set<Function>>}
+     * Stores the subscribed listeners. The key is the event name.
+     */
+    this._listeners = new Map();
+
+    /**
+     * @private
+     * @type {Object[]}
+     * Change records waiting to be delivered to listeners.
+     */
+    this._pendingChanges = [];
+    this._batchDepth = 0;
+
+    /**
+     * @private
+     * @type {number}
+     * Number of running transactions. Changes are always recorded while one is running.
+     */
+    this._transactionDepth = 0;
+
+    /**
+     * @private
+     * @type {boolean}
+     * Set while changes are being reverted, so the reverting mutations are not recorded.
+     */
+    this._silent = false;
+
+    /**
+     * @private
+     * @type {{limit: number, undoStack: Object[][], redoStack: Object[][], checkpoints: Array<{label: string, size: number}>}|null}
+     * Undo/redo state in history mode. Each stack entry holds the change records of one mutation,
+     * batch or transaction; checkpoints remember the undo stack size at the time they were taken.
+     */
+    this._history = history
+      ? { limit: history.limit ?? 100, undoStack: [], redoStack: [], checkpoints: [] }
+      : null;
+    this._replaying = false;
+
+    /**
+     * @private
+     * @type {Map<string, {direction: string, edgeTypes: string[]|null, reachable: Map<string, Set<string>>}>|null}
+     * Memoized reachability, one entry per direction and edge type filter. `reachable` maps a node ID
+     * to the Set of node IDs reachable from it through at least one edge. Only set when enabled.
+     */
+    this._reachability = reachabilityCache ? new Map() : null;
+
+    /**
+     * @private
+     * @type {Set<string>}
+     * Nodes marked as changed since the last clearDirty, in marking order.
+     */
+    this._dirty = new Set();
+  }
+
+  /**
+   * Whether there is a change that undo() can revert.
+   * @type {boolean}
+   */
+  get canUndo() {
+    return Boolean(this._history && this._history.undoStack.length > 0);
+  }
+
+  /**
+   * Whether there is an undone change that redo() can apply again.
+   * @type {boolean}
+   */
+  get canRedo() {
+    return Boolean(this._history && this._history.redoStack.length > 0);
+  }
+
+  /**
+   * Reverts the most recent change in history mode. A change is everything done by one
+   * mutation (e.g. removeNode with the edges it drops), one batch or one transaction.
+   * @returns {boolean} - True if a change was undone, false if there was nothing to undo.
+   * @throws {Error} - If called while a batch or transaction is running.
+   */
+  undo() {
+    if (!this.canUndo) {
+      return false;
+    }
+    const { undoStack, redoStack } = this._history;
+    const changes = undoStack[undoStack.length - 1];
+    this._replay(() => {
+      for (let i = changes.length - 1; i >= 0; i--) {
+        this._revertChange(changes[i]);
+      }
+    });
+    redoStack.push(undoStack.pop());
+    return true;
+  }
+
+  /**
+   * Applies the most recently undone change again in history mode.
+   * @returns {boolean} - True if a change was redone, false if there was nothing to redo.
+   * @throws {Error} - If called while a batch or transaction is running.
+   */
+  redo() {
+    if (!this.canRedo) {
+      return false;
+    }
+    const { undoStack, redoStack } = this._history;
+    const changes = redoStack[redoStack.length - 1];
+    this._replay(() => {
+      for (const change of changes) {
+        this._applyChange(change);
+      }
+    });
+    undoStack.push(redoStack.pop());
+    return true;
+  }
+
+  /**
+   * Marks the current point in the history with a label, so undoTo() can return to it.
+   * @param {string} label - The checkpoint label. Reusing a label marks a new point; undoTo() uses the latest one.
+   * @returns {boolean} - True if the checkpoint was taken, false if history mode is off.
+   */
+  checkpoint(label) {
+    if (!this._history) {
+      return false;
+    }
+    this._history.checkpoints.push({ label, size: this._history.undoStack.length });
+    return true;
+  }
+
+  /**
+   * Undoes every change made after the latest checkpoint with the given label.
+   * @param {string} label - The checkpoint label.
+   * @returns {boolean} - True if the checkpoint was found, false otherwise.
+   * @throws {Error} - If called while a batch or transaction is running.
+   */
+  undoTo(label) {
+    const checkpoint = this._history?.checkpoints
+      .filter(candidate => candidate.label === label && candidate.size <= this._history.undoStack.length)
+      .pop();
+    if (!checkpoint) {
+      return false;
+    }
+    while (this._history.undoStack.length > checkpoint.size) {
+      this.undo();
+    }
+    return true;
+  }
+
+  /**
+   * Forgets all recorded changes and checkpoints in history mode.
+   */
+  clearHistory() {
+    if (this._history) {
+      this._history.undoStack = [];
+      this._history.redoStack = [];
+      this._history.checkpoints = [];
+    }
+  }
+
+  /**
+   * Runs undo/redo mutations as one batch that is not recorded as a new undo step.
+   * @private
+   */
+  _replay(fn) {
+    if (this._batchDepth > 0) {
+      throw new Error('Cannot undo or redo while a batch or transaction is running.');
+    }
+    this._replaying = true;
+    try {
+      this.batch(fn);
+    } finally {
+      this._replaying = false;
+    }
+  }
+
+  /**
+   * Adds a delivered batch of changes to the undo stack, dropping the redo stack and
+   * anything beyond the history limit.
+   * @private
+   */
+  _pushHistory(changes) {
+    const history = this._history;
+    history.undoStack.push(changes);
+    history.redoStack = [];
+
+    const overflow = history.undoStack.length - history.limit;
+    if (overflow > 0) {
+      history.undoStack.splice(0, overflow);
+    }
+    // Checkpoints pointing into the discarded redo stack or the trimmed steps can no longer be reached
+    history.checkpoints = history.checkpoints
+      .map(checkpoint => ({ label: checkpoint.label, size: checkpoint.size - Math.max(overflow, 0) }))
+      .filter(checkpoint => checkpoint.size >= 0 && checkpoint.size < history.undoStack.length);
+  }
+
+  /**
+   * Subscribes to changes made to the graph.
+   *
+   * Each mutation produces change records: `{type: 'nodeAdded'|'nodeRemoved', nodeId, data}`,
+   * `{type: 'nodeUpdated', nodeId, data, previousData}`, `{type: 'edgeAdded'|'edgeRemoved', edge}` and
+   * `{type: 'edgeUpdated', edge, previousData}`, where `edge` is `{from, to, type, data}`. Listeners for
+   * one of these types receive each matching record; 'change' listeners receive the array of all
+   * records produced by one mutation (including the edges removeNode drops and the nodes addEdge
+   * creates) or by one batch.
+   * @param {string} eventName - 'change' or one of the change record types.
+   * @param {Function} listener - Called with the change record, or with an array of records for 'change'.
+   * @returns {Function} - A function that unsubscribes the listener.
+   */
+  on(eventName, listener) {
+    if (eventName !== 'change' && !CHANGE_EVENTS.includes(eventName)) {
+      throw new Error(`Unknown event '${eventName}'.`);
+    }
+    if (typeof listener !== 'function') {
+      throw new Error('Listener must be a function.');
+    }
+
+    if (!this._listeners.has(eventName)) {
+      this._listeners.set(eventName, new Set());
+    }
+    this._listeners.get(eventName).add(listener);
+    return () => this.off(eventName, listener);
+  }
+
+  /**
+   * Unsubscribes a listener added with on().
+   * @param {string} eventName - The event the listener was subscribed to.
+   * @param {Function} listener - The listener to remove.
+   * @returns {boolean} - True if the listener was removed, false if it wasn't subscribed.
+   */
+  off(eventName, listener) {
+    const listeners = this._listeners.get(eventName);
+    if (!listeners || !listeners.delete(listener)) {
+      return false;
+    }
+    if (listeners.size === 0) {
+      this._listeners.delete(eventName);
+    }
+    return true;
+  }
+
+  /**
+   * Runs a function that mutates the graph and delivers all resulting change records to
+   * listeners once it returns, instead of after every single mutation. Batches can be nested;
+   * notifications are sent when the outermost batch ends.
+   * @param {Function} fn - The function to run. It receives the graph as its argument.
+   * @returns {any} - The value returned by fn.
+   */
+  batch(fn) {
+    this._batchDepth++;
+    try {
+      return fn(this);
+    } finally {
+      this._batchDepth--;
+      this._flushChanges();
+    }
+  }
+
+  /**
+   * Runs a function that mutates the graph as a single atomic change. If the function throws,
+   * or the validation fails once it returns, every change it made is reverted and the error is
+   * rethrown. Listeners are only notified, in one batch, if the transaction commits.
+   * The function must be synchronous: if it returns a promise, its changes so far are reverted
+   * and an error is thrown.
+   * @param {Function} fn - The function to run. It receives the graph as its argument.
+   * @param {Object} [options={}] - Transaction options.
+   * @param {Function} [options.validate] - Called with the graph before committing. Throwing or returning false rolls the transaction back.
+   * @returns {any} - The value returned by fn.
+   * @throws {Error} - The error thrown by fn or validate, a validation error if validate returned false,
+   * or an error if fn returned a promise.
+   */
+  transaction(fn, options = {}) {
+    const { validate } = options;
+    const start = this._pendingChanges.length;
+
+    this._batchDepth++;
+    this._transactionDepth++;
+    try {
+      const result = fn(this);
+      // Changes made after an await would escape the rollback, so async functions are refused
+      if (typeof result?.then === 'function') {
+        result.then(undefined, () => {});
+        throw new Error('Transaction function must be synchronous.');
+      }
+      if (validate && validate(this) === false) {
+        throw new Error('Transaction validation failed.');
+      }
+      return result;
+    } catch (error) {
+      const changes = this._pendingChanges.splice(start);
+      this._silent = true;
+      try {
+        for (let i = changes.length - 1; i >= 0; i--) {
+          this._revertChange(changes[i]);
+        }
+      } finally {
+        this._silent = false;
+      }
+      throw error;
+    } finally {
+      this._transactionDepth--;
+      this._batchDepth--;
+      this._flushChanges();
+    }
+  }
+
+  /**
+   * Applies the inverse of a change record.
+   * @private
+   */
+  _revertChange(change) {
+    const { edge } = change;
+    switch (change.type) {
+      case 'nodeAdded':
+        this.removeNode(change.nodeId);
+        break;
+      case 'nodeRemoved':
+        this.addNode(change.nodeId, change.data);
+        break;
+      case 'nodeUpdated':
+        this.setNodeData(change.nodeId, change.previousData);
+        break;
+      case 'edgeAdded':
+        this.removeEdge(edge.from, edge.to, edge.type);
+        break;
+      case 'edgeRemoved':
+        this.addEdge(edge.from, edge.to, edge.type, edge.data);
+        break;
+      case 'edgeUpdated':
+        this.addEdge(edge.from, edge.to, edge.type, change.previousData);
+        break;
+    }
+  }
+
+  /**
+   * Applies a change record again.
+   * @private
+   */
+  _applyChange(change) {
+    const { edge } = change;
+    switch (change.type) {
+      case 'nodeAdded':
+        this.addNode(change.nodeId, change.data);
+        break;
+      case 'nodeRemoved':
+        this.removeNode(change.nodeId);
+        break;
+      case 'nodeUpdated':
+        this.setNodeData(change.nodeId, change.data);
+        break;
+      case 'edgeAdded':
+      case 'edgeUpdated':
+        this.addEdge(edge.from, edge.to, edge.type, edge.data);
+        break;
+      case 'edgeRemoved':
+        this.removeEdge(edge.from, edge.to, edge.type);
+        break;
+    }
+  }
+
+  /**
+   * Queues a change record for listeners. Nothing is kept when nobody is listening, no
+   * transaction needs the record to roll back and history mode is off.
+   * @private
+   */
+  _recordChange(change) {
+    if (this._reachability) {
+      this._invalidateReachability(change);
+    }
+    if (!this._silent && this._tracksChanges()) {
+      this._pendingChanges.push(change);
+    }
+  }
+
+  /**
+   * Whether change records are needed: by listeners, a running transaction or history mode.
+   * @private
+   */
+  _tracksChanges() {
+    return this._listeners.size > 0 || this._transactionDepth > 0 || this._history !== null;
+  }
+
+  /**
+   * Delivers the queued change records, unless a batch is still running.
+   * @private
+   */
+  _flushChanges() {
+    if (this._batchDepth > 0 || this._pendingChanges.length === 0) {
+      return;
+    }
+
+    const changes = this._pendingChanges;
+    this._pendingChanges = [];
+
+    if (this._history && !this._replaying) {
+      this._pushHistory(changes);
+    }
+
+    for (const change of changes) {
+      for (const listener of Array.from(this._listeners.get(change.type) || [])) {
+        listener(change);
+      }
+    }
+    for (const listener of Array.from(this._listeners.get('change') || [])) {
+      listener(changes);
+    }
   }
 
   /**
    * Adds a node to the graph.
    * @param {string} nodeId - The unique identifier for the node (e.g., 'Sheet1!A1').
+   * @param {any} [data={}] - Optional data to store with the node (e.g., a cell's value or formula).
    * @returns {boolean} - True if the node was added, false if it already exists.
    */
-  addNode(nodeId) {
+  addNode(nodeId, data = {}) {
     if (this.nodes.has(nodeId)) {
       return false;
     }
     this.nodes.set(nodeId, new Set());
     this.incomingEdges.set(nodeId, new Set());
+    this.nodeData.set(nodeId, data);
+    if (this._order) {
+      this._order.set(nodeId, this._nextOrder++);
+    }
+
+    this._recordChange({ type: 'nodeAdded', nodeId, data });
+    this._flushChanges();
+    return true;
+  }
+
+  /**
+   * Gets the data stored with a node.
+   * @param {string} nodeId - The ID of the node.
+   * @returns {any} - The node's data, or undefined if the node doesn't exist.
+   */
+  getNodeData(nodeId) {
+    return this.nodeData.get(nodeId);
+  }
+
+  /**
+   * Replaces the data stored with a node.
+   * @param {string} nodeId - The ID of the node.
+   * @param {any} data - The new data.
+   * @returns {boolean} - True if the data was set, false if the node doesn't exist.
+   */
+  setNodeData(nodeId, data) {
+    if (!this.nodes.has(nodeId)) {
+      return false;
+    }
+    const previousData = this.nodeData.get(nodeId);
+    this.nodeData.set(nodeId, data);
+
+    this._recordChange({ type: 'nodeUpdated', nodeId, data, previousData });
+    this._flushChanges();
     return true;
   }
 
+  /**
+   * Shallow-merges a patch into the data stored with a node.
+   * @param {string} nodeId - The ID of the node.
+   * @param {Object} patch - The properties to set on the node's data.
+   * @returns {boolean} - True if the data was updated, false if the node doesn't exist.
+   */
+  updateNodeData(nodeId, patch) {
+    if (!this.nodes.has(nodeId)) {
+      return false;
+    }
+    return this.setNodeData(nodeId, { ...this.nodeData.get(nodeId), ...patch });
+  }
+
   /**
    * Removes a node and all its associated edges from the graph.
    * @param {string} nodeId - The ID of the node to remove.
@@ -61,6 +628,7 @@ module.exports = class DependencyGraph {
     // Remove all outgoing edges from this node
     const nodesThisDependsOn = this.nodes.get(nodeId) || new Set();
     for (const dependencyId of nodesThisDependsOn) {
+      this._recordRemovedEdges(`${nodeId}->${dependencyId}`);
       this.edges.delete(`${nodeId}->${dependencyId}`);
       this.incomingEdges.get(dependencyId)?.delete(nodeId);
     }
@@ -68,255 +636,1900 @@ module.exports = class DependencyGraph {
     // Remove all incoming edges to this node
     const nodesThatDependOnThis = this.incomingEdges.get(nodeId) || new Set();
     for (const dependentId of nodesThatDependOnThis) {
+      this._recordRemovedEdges(`${dependentId}->${nodeId}`);
       this.edges.delete(`${dependentId}->${nodeId}`);
       this.nodes.get(dependentId)?.delete(nodeId);
     }
 
     // Finally, remove the node itself
+    const data = this.nodeData.get(nodeId);
     this.nodes.delete(nodeId);
     this.incomingEdges.delete(nodeId);
+    this.nodeData.delete(nodeId);
+    this._order?.delete(nodeId);
+    this._dirty.delete(nodeId);
 
+    this._recordChange({ type: 'nodeRemoved', nodeId, data });
+    this._flushChanges();
     return true;
   }
 
+  /**
+   * Records an 'edgeRemoved' change for every edge between a pair of nodes.
+   * @private
+   * @param {string} edgeId - The pair key, formatted as 'fromNodeId->toNodeId'.
+   */
+  _recordRemovedEdges(edgeId) {
+    for (const edge of this.edges.get(edgeId)?.values() || []) {
+      this._recordChange({ type: 'edgeRemoved', edge: { ...edge } });
+    }
+  }
+
   /**
    * Adds a directed edge between two nodes with a specific type.
-   * If the nodes do not exist, they will be created.
+   * If the nodes do not exist, they will be created. Edges of different types between the same
+   * pair of nodes are kept side by side; adding an edge with an existing type replaces its data.
    * @param {string} fromNodeId - The ID of the node where the edge starts.
    * @param {string} toNodeId - The ID of the node where the edge ends.
    * @param {string} type - The type of the dependency (e.g., 'equational').
    * @param {any} data - Optional data to store with the edge.
+   * @throws {CircularDependencyError} - In acyclic mode, if the edge would close a cycle. The graph is left unchanged.
    */
   addEdge(fromNodeId, toNodeId, type, data = {}) {
+    const guarded = this._acyclic && (!this._acyclicTypes || this._acyclicTypes.includes(type));
+    if (guarded && fromNodeId === toNodeId) {
+      throw new CircularDependencyError([fromNodeId, toNodeId]);
+    }
+
+    // Batch so that implicitly created nodes are reported together with the edge. Without
+    // anyone to report to, skip the batch: this is the hot path when building large graphs.
+    if (this._tracksChanges()) {
+      this.batch(() => this._insertEdge(fromNodeId, toNodeId, type, data, guarded));
+    } else {
+      this._insertEdge(fromNodeId, toNodeId, type, data, guarded);
+    }
+  }
+
+  /**
+   * Inserts an edge and any missing endpoint nodes, for addEdge.
+   * @private
+   */
+  _insertEdge(fromNodeId, toNodeId, type, data, guarded) {
     this.addNode(fromNodeId);
     this.addNode(toNodeId);
 
+    if (guarded) {
+      const cycle = this._reorderForEdge(fromNodeId, toNodeId);
+      if (cycle) {
+        throw new CircularDependencyError(cycle);
+      }
+    }
+
     // Add outgoing edge reference
     this.nodes.get(fromNodeId).add(toNodeId);
     // Add incoming edge reference
     this.incomingEdges.get(toNodeId).add(fromNodeId);
 
-    this.edges.set(`${fromNodeId}->${toNodeId}`, { to: toNodeId, type, data });
+    const edgeId = `${fromNodeId}->${toNodeId}`;
+    if (!this.edges.has(edgeId)) {
+      this.edges.set(edgeId, new Map());
+    }
+    const previous = this.edges.get(edgeId).get(type);
+    const edge = { from: fromNodeId, to: toNodeId, type, data };
+    this.edges.get(edgeId).set(type, edge);
+
+    this._recordChange(previous
+      ? { type: 'edgeUpdated', edge: { ...edge }, previousData: previous.data }
+      : { type: 'edgeAdded', edge: { ...edge } });
   }
 
   /**
-   * Checks if a node exists in the graph.
-   * @param {string} nodeId - The ID of the node to check.
+   * Updates the maintained topological order for a new guarded edge, following Pearce and
+   * Kelly's dynamic topological sort: only the nodes between the edge's endpoints in the
+   * current order are searched and shifted, instead of scanning the whole graph.
+   * @private
+   * @returns {string[]|null} - The cycle the edge would close, or null if the order was updated.
+   */
+  _reorderForEdge(fromNodeId, toNodeId) {
+    const lowerBound = this._order.get(toNodeId);
+    const upperBound = this._order.get(fromNodeId);
+    if (lowerBound > upperBound) {
+      return null; // The edge already agrees with the order
+    }
+
+    // Forward search from the edge target through nodes ordered before the edge source
+    const parents = new Map([[toNodeId, null]]);
+    const forward = [toNodeId];
+    const stack = [toNodeId];
+    while (stack.length > 0) {
+      const currentNodeId = stack.pop();
+      for (const { neighborId } of this._getNeighborEdges(currentNodeId, 'outgoing', this._acyclicTypes)) {
+        if (neighborId === fromNodeId) {
+          const path = [];
+          for (let nodeId = currentNodeId; nodeId !== null; nodeId = parents.get(nodeId)) {
+            path.unshift(nodeId);
+          }
+          return [fromNodeId, ...path, fromNodeId];
+        }
+        if (!parents.has(neighborId) && this._order.get(neighborId) < upperBound) {
+          parents.set(neighborId, currentNodeId);
+          forward.push(neighborId);
+          stack.push(neighborId);
+        }
+      }
+    }
+
+    // Backward search from the edge source through nodes ordered after the edge target
+    const backward = [fromNodeId];
+    const seen = new Set(backward);
+    stack.push(fromNodeId);
+    while (stack.length > 0) {
+      const currentNodeId = stack.pop();
+      for (const { neighborId } of this._getNeighborEdges(currentNodeId, 'incoming', this._acyclicTypes)) {
+        if (!seen.has(neighborId) && this._order.get(neighborId) > lowerBound) {
+          seen.add(neighborId);
+          backward.push(neighborId);
+          stack.push(neighborId);
+        }
+      }
+    }
+
+    // Reuse the positions of the affected nodes, placing everything that reaches the
+    // source before everything reachable from the target
+    const byOrder = (a, b) => this._order.get(a) - this._order.get(b);
+    backward.sort(byOrder);
+    forward.sort(byOrder);
+    const affected = [...backward, ...forward];
+    const slots = affected.map(nodeId => this._order.get(nodeId)).sort((a, b) => a - b);
+    affected.forEach((nodeId, i) => this._order.set(nodeId, slots[i]));
+
+    return null;
+  }
+
+  /**
+   * Checks if a node exists in the graph.
+   * @param {string} nodeId - The ID of the node to check.
    * @returns {boolean} - True if the node exists, false otherwise.
    */
   hasNode(nodeId) {
     return this.nodes.has(nodeId);
   }
 
-  /**
-   * Gets the nodes that depend on a given node (its dependents).
-   * @param {string} nodeId - The ID of the node.
-   * @param {Object} [options={}] - Traversal options.
-   * @returns {string[]} - An array of dependent node IDs.
-   */
-  getDependents(nodeId, options = {}) {
-    const result = this.traverse(nodeId, { ...options, direction: 'outgoing' });
-    const index = result.indexOf(nodeId);
-    if (index > -1) {
-      result.splice(index, 1);
+  /**
+   * Counts the edges pointing to a node (its direct dependencies). Edges of different types
+   * between the same pair of nodes count separately.
+   * @param {string} nodeId - The ID of the node.
+   * @param {Object} [options={}] - Counting options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to count. If not provided, all edges are counted.
+   * @returns {number} - The number of incoming edges, or 0 if the node does not exist.
+   */
+  inDegree(nodeId, options = {}) {
+    return this._getNeighborEdges(nodeId, 'incoming', this._normalizeEdgeTypes(options.edgeTypes)).length;
+  }
+
+  /**
+   * Counts the edges leaving a node (its direct dependents). Edges of different types
+   * between the same pair of nodes count separately.
+   * @param {string} nodeId - The ID of the node.
+   * @param {Object} [options={}] - Counting options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to count. If not provided, all edges are counted.
+   * @returns {number} - The number of outgoing edges, or 0 if the node does not exist.
+   */
+  outDegree(nodeId, options = {}) {
+    return this._getNeighborEdges(nodeId, 'outgoing', this._normalizeEdgeTypes(options.edgeTypes)).length;
+  }
+
+  /**
+   * Gets the nodes without incoming edges, i.e. nodes that depend on nothing (such as input cells).
+   * Isolated nodes are included.
+   * @param {Object} [options={}] - Options.
+   * @param {string|string[]} [options.edgeTypes] - Only consider edges of these type(s). If not provided, all edges are considered.
+   * @returns {string[]} - The root node IDs, in insertion order.
+   */
+  getRoots(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    return Array.from(this.nodes.keys()).filter(nodeId => this._getNeighborEdges(nodeId, 'incoming', types).length === 0);
+  }
+
+  /**
+   * Gets the nodes without outgoing edges, i.e. nodes nothing depends on (such as unused outputs).
+   * Isolated nodes are included.
+   * @param {Object} [options={}] - Options.
+   * @param {string|string[]} [options.edgeTypes] - Only consider edges of these type(s). If not provided, all edges are considered.
+   * @returns {string[]} - The leaf node IDs, in insertion order.
+   */
+  getLeaves(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    return Array.from(this.nodes.keys()).filter(nodeId => this._getNeighborEdges(nodeId, 'outgoing', types).length === 0);
+  }
+
+  /**
+   * Gets the nodes without any edges.
+   * @param {Object} [options={}] - Options.
+   * @param {string|string[]} [options.edgeTypes] - Only consider edges of these type(s). If not provided, all edges are considered.
+   * @returns {string[]} - The isolated node IDs, in insertion order.
+   */
+  getIsolatedNodes(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    return Array.from(this.nodes.keys()).filter(nodeId =>
+      this._getNeighborEdges(nodeId, 'incoming', types).length === 0
+      && this._getNeighborEdges(nodeId, 'outgoing', types).length === 0);
+  }
+
+  /**
+   * Summarizes the structure of the graph.
+   * - `maxDepth` is the number of edges on the longest dependency chain. Nodes of a cycle count
+   *   as one step, so it is finite even for cyclic graphs.
+   * - `averageFanIn` is the average number of incoming edges over nodes that have any, and
+   *   `averageFanOut` the same for outgoing edges.
+   * - Components are weakly connected: edge direction is ignored.
+   * @param {Object} [options={}] - Options.
+   * @param {string|string[]} [options.edgeTypes] - Only consider edges of these type(s). If not provided, all edges are considered.
+   * @returns {{nodeCount: number, edgeCount: number, edgesByType: Object<string, number>, rootCount: number, leafCount: number,
+   * isolatedCount: number, maxDepth: number, averageFanIn: number, averageFanOut: number, maxFanIn: number, maxFanOut: number,
+   * componentCount: number, largestComponentSize: number}} - The statistics.
+   */
+  stats(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const edgesByType = {};
+    let edgeCount = 0;
+    for (const edgesOfPair of this.edges.values()) {
+      for (const edge of edgesOfPair.values()) {
+        if (!types || types.includes(edge.type)) {
+          edgesByType[edge.type] = (edgesByType[edge.type] || 0) + 1;
+          edgeCount++;
+        }
+      }
+    }
+
+    let rootCount = 0;
+    let leafCount = 0;
+    let isolatedCount = 0;
+    let withFanIn = 0;
+    let withFanOut = 0;
+    let maxFanIn = 0;
+    let maxFanOut = 0;
+    for (const nodeId of this.nodes.keys()) {
+      const fanIn = this._getNeighborEdges(nodeId, 'incoming', types).length;
+      const fanOut = this._getNeighborEdges(nodeId, 'outgoing', types).length;
+      if (fanIn === 0) rootCount++;
+      if (fanOut === 0) leafCount++;
+      if (fanIn === 0 && fanOut === 0) isolatedCount++;
+      if (fanIn > 0) withFanIn++;
+      if (fanOut > 0) withFanOut++;
+      maxFanIn = Math.max(maxFanIn, fanIn);
+      maxFanOut = Math.max(maxFanOut, fanOut);
+    }
+
+    // Longest chain over the condensation, whose components come in topological order
+    const components = this.getStronglyConnectedComponents({ edgeTypes: types });
+    const componentOf = new Map();
+    components.forEach((members, index) => members.forEach(nodeId => componentOf.set(nodeId, index)));
+    const depths = new Array(components.length).fill(0);
+    let maxDepth = 0;
+    components.forEach((members, index) => {
+      maxDepth = Math.max(maxDepth, depths[index]);
+      for (const nodeId of members) {
+        for (const { neighborId } of this._getNeighborEdges(nodeId, 'outgoing', types)) {
+          const neighborIndex = componentOf.get(neighborId);
+          if (neighborIndex !== index) {
+            depths[neighborIndex] = Math.max(depths[neighborIndex], depths[index] + 1);
+          }
+        }
+      }
+    });
+
+    // Weakly connected components, found by BFS ignoring edge direction
+    const seen = new Set();
+    let componentCount = 0;
+    let largestComponentSize = 0;
+    for (const rootId of this.nodes.keys()) {
+      if (seen.has(rootId)) continue;
+      componentCount++;
+      seen.add(rootId);
+      const queue = [rootId];
+      for (let i = 0; i < queue.length; i++) {
+        for (const direction of ['outgoing', 'incoming']) {
+          for (const { neighborId } of this._getNeighborEdges(queue[i], direction, types)) {
+            if (!seen.has(neighborId)) {
+              seen.add(neighborId);
+              queue.push(neighborId);
+            }
+          }
+        }
+      }
+      largestComponentSize = Math.max(largestComponentSize, queue.length);
+    }
+
+    return {
+      nodeCount: this.nodes.size,
+      edgeCount,
+      edgesByType,
+      rootCount,
+      leafCount,
+      isolatedCount,
+      maxDepth,
+      averageFanIn: withFanIn > 0 ? edgeCount / withFanIn : 0,
+      averageFanOut: withFanOut > 0 ? edgeCount / withFanOut : 0,
+      maxFanIn,
+      maxFanOut,
+      componentCount,
+      largestComponentSize
+    };
+  }
+
+  /**
+   * Gets the nodes that depend on a given node (its dependents). Given several nodes, returns the
+   * union of their dependents from a single traversal.
+   * @param {string|string[]} nodeId - The ID of the node (or nodes).
+   * @param {Object} [options={}] - Traversal options, same as traverse. The start node(s) are never included.
+   * @returns {string[]|Object[]} - An array of dependent node IDs, or records if `options.records` is set.
+   */
+  getDependents(nodeId, options = {}) {
+    if (this._canUseReachabilityCache(nodeId, options)) {
+      return this._getReachable(nodeId, 'outgoing', options.edgeTypes).filter(id => id !== nodeId);
+    }
+    return this.traverse(nodeId, { ...options, direction: 'outgoing', includeStart: false });
+  }
+
+  /**
+   * Gets the nodes that a given node depends on (its dependencies). Given several nodes, returns the
+   * union of their dependencies from a single traversal.
+   * @param {string|string[]} nodeId - The ID of the node (or nodes).
+   * @param {Object} [options={}] - Traversal options, same as traverse. The start node(s) are never included.
+   * @returns {string[]|Object[]} - An array of dependency node IDs, or records if `options.records` is set.
+   */
+  getDependencies(nodeId, options = {}) {
+    if (this._canUseReachabilityCache(nodeId, options)) {
+      return this._getReachable(nodeId, 'incoming', options.edgeTypes).filter(id => id !== nodeId);
+    }
+    return this.traverse(nodeId, { ...options, direction: 'incoming', includeStart: false });
+  }
+
+  /**
+   * Checks whether a node can be reached from another by following at least one edge.
+   * A node only reaches itself when it is part of a cycle.
+   * @param {string} fromNodeId - The ID of the node to start from.
+   * @param {string} toNodeId - The ID of the node to reach.
+   * @param {Object} [options={}] - Reachability options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to follow edges in.
+   * @returns {boolean} - True if toNodeId is reachable from fromNodeId, false otherwise.
+   */
+  isReachable(fromNodeId, toNodeId, options = {}) {
+    const { direction = 'outgoing', edgeTypes } = options;
+    if (!this.nodes.has(fromNodeId) || !this.nodes.has(toNodeId)) {
+      return false;
+    }
+    return this._getReachableSet(fromNodeId, direction, this._normalizeEdgeTypes(edgeTypes)).has(toNodeId);
+  }
+
+  /**
+   * Whether a getDependents/getDependencies call can be answered from the reachability cache.
+   * Multiple start nodes, depth limits, filters and records all need an actual traversal.
+   * @private
+   */
+  _canUseReachabilityCache(nodeId, options) {
+    const { strategy = 'bfs', maxDepth = Infinity, nodeFilter, edgeFilter, records } = options;
+    return Boolean(this._reachability) && this.nodes.has(nodeId) && strategy === 'bfs'
+      && maxDepth === Infinity && !nodeFilter && !edgeFilter && !records;
+  }
+
+  /**
+   * Lists the nodes reachable from a node in breadth-first order.
+   * @private
+   */
+  _getReachable(nodeId, direction, edgeTypes) {
+    return Array.from(this._getReachableSet(nodeId, direction, this._normalizeEdgeTypes(edgeTypes)));
+  }
+
+  /**
+   * Gets the Set of nodes reachable from a node through at least one edge, from the cache
+   * when it is enabled.
+   * @private
+   */
+  _getReachableSet(nodeId, direction, edgeTypes) {
+    let entry = null;
+    if (this._reachability) {
+      const cacheKey = `${direction}:${edgeTypes ? [...edgeTypes].sort().join('\u0000') : '*'}`;
+      entry = this._reachability.get(cacheKey);
+      if (!entry) {
+        entry = { direction, edgeTypes, reachable: new Map() };
+        this._reachability.set(cacheKey, entry);
+      }
+      if (entry.reachable.has(nodeId)) {
+        return entry.reachable.get(nodeId);
+      }
+    }
+
+    const reached = new Set();
+    const queue = [nodeId];
+    for (let i = 0; i < queue.length; i++) {
+      for (const { neighborId } of this._getNeighborEdges(queue[i], direction, edgeTypes)) {
+        if (!reached.has(neighborId)) {
+          reached.add(neighborId);
+          queue.push(neighborId);
+        }
+      }
+    }
+
+    entry?.reachable.set(nodeId, reached);
+    return reached;
+  }
+
+  /**
+   * Drops the memoized reachability a change may have affected: the entries of every node that
+   * reaches the changed node or edge in the cached direction. Everything else stays cached.
+   * @private
+   */
+  _invalidateReachability(change) {
+    if (change.type === 'nodeAdded' || change.type === 'nodeUpdated' || change.type === 'edgeUpdated') {
+      return;
+    }
+
+    for (const { direction, edgeTypes, reachable } of this._reachability.values()) {
+      let changedNodeId;
+      if (change.type === 'nodeRemoved') {
+        changedNodeId = change.nodeId;
+      } else if (!edgeTypes || edgeTypes.includes(change.edge.type)) {
+        // An edge only changes what lies beyond its near end
+        changedNodeId = direction === 'outgoing' ? change.edge.from : change.edge.to;
+      } else {
+        continue;
+      }
+
+      for (const [nodeId, reached] of reachable) {
+        if (nodeId === changedNodeId || reached.has(changedNodeId)) {
+          reachable.delete(nodeId);
+        }
+      }
+    }
+  }
+
+  /**
+   * Removes an edge between two nodes.
+   * @param {string} fromNodeId - The ID of the starting node.
+   * @param {string} toNodeId - The ID of the ending node.
+   * @param {string} [type] - The type of the edge to remove. If not provided, edges of all types between the nodes are removed.
+   * @returns {boolean} - True if an edge was removed, false if it didn't exist.
+   */
+  removeEdge(fromNodeId, toNodeId, type) {
+    const edgeId = `${fromNodeId}->${toNodeId}`;
+    const edgesByType = this.edges.get(edgeId);
+    if (!edgesByType || (type !== undefined && !edgesByType.has(type))) {
+      return false;
+    }
+
+    if (type !== undefined) {
+      this._recordChange({ type: 'edgeRemoved', edge: { ...edgesByType.get(type) } });
+      edgesByType.delete(type);
+      if (edgesByType.size > 0) {
+        this._flushChanges();
+        return true; // Other edge types still link the two nodes
+      }
+    } else {
+      this._recordRemovedEdges(edgeId);
+    }
+    this.edges.delete(edgeId);
+
+    // Remove outgoing reference
+    this.nodes.get(fromNodeId)?.delete(toNodeId);
+    // Remove incoming reference
+    this.incomingEdges.get(toNodeId)?.delete(fromNodeId);
+
+    this._flushChanges();
+    return true;
+  }
+
+  /**
+   * Checks if an edge exists between two nodes.
+   * @param {string} fromNodeId - The ID of the starting node.
+   * @param {string} toNodeId - The ID of the ending node.
+   * @param {string} [type] - The edge type to look for. If not provided, an edge of any type matches.
+   * @returns {boolean} - True if the edge exists, false otherwise.
+   */
+  hasEdge(fromNodeId, toNodeId, type) {
+    const edgesByType = this.edges.get(`${fromNodeId}->${toNodeId}`);
+    if (!edgesByType) {
+      return false;
+    }
+    return type === undefined ? edgesByType.size > 0 : edgesByType.has(type);
+  }
+
+  /**
+   * Gets an edge between two nodes.
+   * @param {string} fromNodeId - The ID of the starting node.
+   * @param {string} toNodeId - The ID of the ending node.
+   * @param {string} [type] - The edge type to look for. If not provided, the first edge added between the nodes is returned.
+   * @returns {{from: string, to: string, type: string, data: any}|null} - The edge, or null if it doesn't exist.
+   */
+  getEdge(fromNodeId, toNodeId, type) {
+    const edgesByType = this.edges.get(`${fromNodeId}->${toNodeId}`);
+    if (!edgesByType) {
+      return null;
+    }
+    const edge = type === undefined ? edgesByType.values().next().value : edgesByType.get(type);
+    return edge ? { ...edge } : null;
+  }
+
+  /**
+   * Gets the edges leaving a node.
+   * @param {string} nodeId - The ID of the node.
+   * @param {Object} [options={}] - Query options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to include. If not provided, all edges are included.
+   * @returns {Array<{from: string, to: string, type: string, data: any}>} - The outgoing edges, or an empty array if the node doesn't exist.
+   */
+  getOutgoingEdges(nodeId, options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    return this._getNeighborEdges(nodeId, 'outgoing', types).map(({ edge }) => ({ ...edge }));
+  }
+
+  /**
+   * Gets the edges entering a node.
+   * @param {string} nodeId - The ID of the node.
+   * @param {Object} [options={}] - Query options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to include. If not provided, all edges are included.
+   * @returns {Array<{from: string, to: string, type: string, data: any}>} - The incoming edges, or an empty array if the node doesn't exist.
+   */
+  getIncomingEdges(nodeId, options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    return this._getNeighborEdges(nodeId, 'incoming', types).map(({ edge }) => ({ ...edge }));
+  }
+
+  /**
+   * Gets every edge of the given type(s).
+   * @param {string|string[]} type - The edge type(s) to collect.
+   * @returns {Array<{from: string, to: string, type: string, data: any}>} - The matching edges.
+   */
+  getEdgesByType(type) {
+    const types = this._normalizeEdgeTypes(type) || [];
+    const result = [];
+    for (const edgesByType of this.edges.values()) {
+      for (const edge of edgesByType.values()) {
+        if (types.includes(edge.type)) {
+          result.push({ ...edge });
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Shallow-merges a patch into the data stored with an edge.
+   * @param {string} fromNodeId - The ID of the starting node.
+   * @param {string} toNodeId - The ID of the ending node.
+   * @param {Object} patch - The properties to set on the edge's data.
+   * @param {string} [type] - The type of the edge to update. If not provided, edges of all types between the nodes are updated.
+   * @returns {boolean} - True if an edge was updated, false if it didn't exist.
+   */
+  updateEdgeData(fromNodeId, toNodeId, patch, type) {
+    const edgesByType = this.edges.get(`${fromNodeId}->${toNodeId}`);
+    if (!edgesByType || (type !== undefined && !edgesByType.has(type))) {
+      return false;
+    }
+
+    const edges = type === undefined ? Array.from(edgesByType.values()) : [edgesByType.get(type)];
+    for (const edge of edges) {
+      const previousData = edge.data;
+      edge.data = { ...edge.data, ...patch };
+      this._recordChange({ type: 'edgeUpdated', edge: { ...edge }, previousData });
+    }
+    this._flushChanges();
+    return true;
+  }
+
+  /**
+   * Traverses the graph from a starting node, following edges of specified types.
+   * With several start nodes the traversal runs once with shared visited state, so each node
+   * reachable from any of them is visited exactly once. Start nodes that do not exist are ignored.
+   * @param {string|string[]} startNodeId - The ID of the node (or nodes) to start traversal from.
+   * @param {Object} [options={}] - Traversal options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to traverse. 'outgoing' finds dependencies; 'incoming' finds dependents.
+   * @param {'bfs'|'dfs'} [options.strategy='bfs'] - The traversal strategy. 'bfs' for breadth-first search, 'dfs' for depth-first search.
+   * @param {number} [options.maxDepth=Infinity] - Do not expand nodes this many edges away from the start node.
+   * @param {Function} [options.nodeFilter] - Called as (nodeId, depth) before a node is visited. Returning false skips the node
+   * and everything only reachable through it. The start node is not filtered.
+   * @param {Function} [options.edgeFilter] - Called as (edge, from, to) for each edge the traversal could follow, where `from` is
+   * the node being expanded and `to` the node the edge leads to. Returning false ignores the edge.
+   * @param {boolean} [options.includeStart=true] - Whether the start node(s) are part of the result. When false, start nodes
+   * are left out even if they are reachable from another start node.
+   * @param {boolean} [options.records=false] - Whether to return `{nodeId, depth, parent, edge}` records instead of node IDs.
+   * `parent` and `edge` tell how the node was first reached and are null for the start node.
+   * @returns {string[]|Object[]} - The visited node IDs, or records, in traversal order.
+   */
+  traverse(startNodeId, options = {}) {
+    const startNodeIds = Array.isArray(startNodeId) ? startNodeId : [startNodeId];
+    if (!startNodeIds.some(nodeId => this.nodes.has(nodeId))) {
+      console.error("Start node for traversal does not exist.");
+      return [];
+    }
+    return Array.from(this.traverseIter(startNodeId, options));
+  }
+
+  /**
+   * Lazily traverses the graph from a starting node, yielding each node as it is visited so
+   * callers can stop early. Takes the same options as traverse and yields the same values in the
+   * same order. The graph should not be changed while iterating.
+   * @param {string|string[]} startNodeId - The ID of the node (or nodes) to start traversal from.
+   * @param {Object} [options={}] - Traversal options, same as traverse.
+   * @yields {string|Object} - The visited node IDs, or records if `options.records` is set.
+   */
+  *traverseIter(startNodeId, options = {}) {
+    const { nodeFilter, edgeFilter } = options;
+    const steps = this._traversalSteps(startNodeId, options);
+    let answer;
+    for (let step = steps.next(); !step.done; step = steps.next(answer)) {
+      const request = step.value;
+      if (request.type === 'visit') {
+        answer = undefined;
+        yield request.value;
+      } else if (request.type === 'edge') {
+        answer = edgeFilter(request.edge, request.from, request.to) !== false;
+      } else {
+        answer = nodeFilter(request.nodeId, request.depth) !== false;
+      }
+    }
+  }
+
+  /**
+   * Async variant of traverseIter for use with `for await`. `nodeFilter` and `edgeFilter` may
+   * return promises, which are awaited before the traversal moves on, so nodes can be checked
+   * against external data as they are discovered.
+   * @param {string|string[]} startNodeId - The ID of the node (or nodes) to start traversal from.
+   * @param {Object} [options={}] - Traversal options, same as traverse.
+   * @yields {string|Object} - The visited node IDs, or records if `options.records` is set.
+   */
+  async *traverseAsyncIter(startNodeId, options = {}) {
+    const { nodeFilter, edgeFilter } = options;
+    const steps = this._traversalSteps(startNodeId, options);
+    let answer;
+    for (let step = steps.next(); !step.done; step = steps.next(answer)) {
+      const request = step.value;
+      if (request.type === 'visit') {
+        answer = undefined;
+        yield request.value;
+      } else if (request.type === 'edge') {
+        answer = await edgeFilter(request.edge, request.from, request.to) !== false;
+      } else {
+        answer = await nodeFilter(request.nodeId, request.depth) !== false;
+      }
+    }
+  }
+
+  /**
+   * The traversal shared by traverseIter and traverseAsyncIter. Yields a `{type: 'visit', value}`
+   * step for each visited node, and leaves the filters to the caller: it yields an
+   * `{type: 'edge', edge, from, to}` or `{type: 'node', nodeId, depth}` step whenever a filter is
+   * set and needs to be asked, and expects whether the filter accepted as the value passed to next().
+   * @private
+   */
+  *_traversalSteps(startNodeId, options) {
+    const {
+      edgeTypes,
+      direction = 'outgoing',
+      strategy = 'bfs',
+      maxDepth = Infinity,
+      nodeFilter = null,
+      edgeFilter = null,
+      includeStart = true,
+      records = false
+    } = options;
+    const types = this._normalizeEdgeTypes(edgeTypes);
+
+    const visited = new Set();
+    const { queue, startNodeIds } = this._createTraversalQueue(startNodeId, strategy);
+    let head = 0; // BFS reads from the front by index, since shift() is O(n)
+
+    const adjacencyMap = direction === 'outgoing' ? this.nodes : this.incomingEdges;
+
+    while (head < queue.length) {
+      // BFS takes from the front (FIFO - queue), DFS uses pop() (LIFO - stack)
+      const record = strategy === 'dfs' ? queue.pop() : queue[head++];
+      const { nodeId: currentNodeId, depth } = record;
+      if (visited.has(currentNodeId)) {
+        continue;
+      }
+      visited.add(currentNodeId);
+      if (includeStart || !startNodeIds.has(currentNodeId)) {
+        yield { type: 'visit', value: records ? { ...record, edge: record.edge && { ...record.edge } } : currentNodeId };
+      }
+      if (depth >= maxDepth) {
+        continue;
+      }
+
+      const neighbors = adjacencyMap.get(currentNodeId) || new Set();
+      for (const neighborId of neighbors) {
+        if (visited.has(neighborId)) {
+          continue;
+        }
+        const accepted = yield* this._selectEdge(currentNodeId, neighborId, direction, types, Boolean(edgeFilter));
+        if (accepted && (!nodeFilter || (yield { type: 'node', nodeId: neighborId, depth: depth + 1 }))) {
+          queue.push({ nodeId: neighborId, depth: depth + 1, parent: currentNodeId, edge: accepted });
+        }
+      }
+    }
+  }
+
+  /**
+   * Seeds a traversal with one depth-0 record per existing start node. The records are stacked
+   * in reverse for DFS so the first start node is still explored first.
+   * @private
+   * @returns {{queue: Object[], startNodeIds: Set<string>}}
+   */
+  _createTraversalQueue(startNodeId, strategy) {
+    const startNodeIds = new Set((Array.isArray(startNodeId) ? startNodeId : [startNodeId])
+      .filter(nodeId => this.nodes.has(nodeId)));
+    const queue = Array.from(startNodeIds, nodeId => ({ nodeId, depth: 0, parent: null, edge: null }));
+    if (strategy === 'dfs') {
+      queue.reverse();
+    }
+    return { queue, startNodeIds };
+  }
+
+  /**
+   * Finds the first edge between a node and a neighbor that passes an edge type filter and an
+   * optional edge predicate, or null if none does.
+   * @private
+   */
+  _findTraversableEdge(nodeId, neighborId, direction, edgeTypes, edgeFilter) {
+    const steps = this._selectEdge(nodeId, neighborId, direction, edgeTypes, Boolean(edgeFilter));
+    let step = steps.next();
+    while (!step.done) {
+      const { edge, from, to } = step.value;
+      step = steps.next(edgeFilter(edge, from, to) !== false);
+    }
+    return step.value;
+  }
+
+  /**
+   * Selects the edge a traversal follows from a node to a neighbor: the first one of an accepted
+   * type that the edge filter accepts. When `filtered` is set, each candidate is yielded as an
+   * `{type: 'edge', edge, from, to}` step, and whether the filter accepted it is expected back
+   * from next(), so that sync and async callers share this selection.
+   * @private
+   * @returns {Object|null} - The selected edge, or null if none is accepted.
+   */
+  *_selectEdge(nodeId, neighborId, direction, edgeTypes, filtered) {
+    const edgeId = direction === 'outgoing'
+      ? `${nodeId}->${neighborId}`
+      : `${neighborId}->${nodeId}`;
+
+    for (const edge of this.edges.get(edgeId)?.values() || []) {
+      if ((!edgeTypes || edgeTypes.includes(edge.type))
+        && (!filtered || (yield { type: 'edge', edge: { ...edge }, from: nodeId, to: neighborId }))) {
+        return edge;
+      }
+    }
+    return null;
+  }
+
+
+  /**
+   * Detects circular dependencies in the graph.
+   * @param {Object} [options={}] - Detection options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to check. If not provided, all edges are checked.
+   * @returns {boolean} - True if a circular dependency is found, false otherwise.
+   */
+  hasCircularDependency(options = {}) {
+    const edgeTypes = options.edgeTypes ? (Array.isArray(options.edgeTypes) ? options.edgeTypes : [options.edgeTypes]) : null;
+    const visiting = new Set();
+    const visited = new Set();
+
+    for (const nodeId of this.nodes.keys()) {
+      if (this._detectCycleUtil(nodeId, visiting, visited, edgeTypes)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * A recursive utility function for hasCircularDependency, using DFS.
+   * @private
+   */
+  _detectCycleUtil(nodeId, visiting, visited, edgeTypes) {
+    visiting.add(nodeId);
+
+    const neighbors = this.nodes.get(nodeId) || new Set();
+    for (const neighborId of neighbors) {
+      const edgeId = `${nodeId}->${neighborId}`;
+
+      if (this._hasEdgeOfType(edgeId, edgeTypes)) {
+        if (visiting.has(neighborId)) {
+          return true; // Cycle detected
+        }
+        if (!visited.has(neighborId)) {
+          if (this._detectCycleUtil(neighborId, visiting, visited, edgeTypes)) {
+            return true;
+          }
+        }
+      }
+    }
+
+    visiting.delete(nodeId);
+    visited.add(nodeId);
+    return false;
+  }
+
+  /**
+   * Finds a circular dependency in the graph and returns the path.
+   * @param {Object} [options={}] - Detection options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to check. If not provided, all edges are checked.
+   * @returns {string[]|null} - An array of node IDs representing the cycle path, or null if no cycle is found.
+   */
+  findCircularDependency(options = {}) {
+    const edgeTypes = options.edgeTypes ? (Array.isArray(options.edgeTypes) ? options.edgeTypes : [options.edgeTypes]) : null;
+    const visited = new Set(); // Nodes that have been fully explored in any DFS run.
+
+    for (const nodeId of this.nodes.keys()) {
+      if (!visited.has(nodeId)) {
+        // For each new starting node, we start a new DFS with a fresh path and visiting set.
+        const cyclePath = this._findCycleUtil(nodeId, new Set(), visited, edgeTypes, []);
+        if (cyclePath) {
+          return cyclePath;
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * A recursive utility function for findCircularDependency.
+   * @private
+   */
+  _findCycleUtil(nodeId, visiting, visited, edgeTypes, path) {
+    visiting.add(nodeId);
+    path.push(nodeId);
+
+    const neighbors = this.nodes.get(nodeId) || new Set();
+    for (const neighborId of neighbors) {
+      const edgeId = `${nodeId}->${neighborId}`;
+
+      if (this._hasEdgeOfType(edgeId, edgeTypes)) {
+        if (visiting.has(neighborId)) {
+          // Cycle detected. Construct the path.
+          const cycleStartIndex = path.indexOf(neighborId);
+          const cyclePath = path.slice(cycleStartIndex);
+          cyclePath.push(neighborId); // Add the final node to show the loop closure.
+          return cyclePath;
+        }
+
+        // We only recurse on nodes that have not been fully explored yet.
+        if (!visited.has(neighborId)) {
+          const result = this._findCycleUtil(neighborId, visiting, visited, edgeTypes, path);
+          if (result) {
+            return result; // Propagate the found cycle path up the call stack.
+          }
+        }
+      }
+    }
+
+    visiting.delete(nodeId);
+    path.pop(); // Backtrack
+    visited.add(nodeId); // Mark this node as fully explored and safe.
+    return null;
+  }
+
+  /**
+   * Returns every node in dependency order, so that each node comes after all nodes it is
+   * reached from (Kahn's algorithm). Useful for evaluating the whole graph in a single pass.
+   * @param {Object} [options={}] - Sorting options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to consider. If not provided, all edges are considered.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - 'outgoing' places the start of each edge before its end; 'incoming' reverses the order.
+   * @returns {string[]} - An array of all node IDs in topological order.
+   * @throws {CircularDependencyError} - If the filtered graph contains a cycle. The error's `cycle` property holds the cycle path.
+   */
+  topologicalSort(options = {}) {
+    const { edgeTypes, direction = 'outgoing' } = options;
+    const types = this._normalizeEdgeTypes(edgeTypes);
+
+    const inDegree = new Map();
+    for (const nodeId of this.nodes.keys()) {
+      inDegree.set(nodeId, 0);
+    }
+    for (const nodeId of this.nodes.keys()) {
+      for (const { neighborId } of this._getNeighborEdges(nodeId, direction, types)) {
+        inDegree.set(neighborId, inDegree.get(neighborId) + 1);
+      }
+    }
+
+    const order = [];
+    for (const [nodeId, degree] of inDegree) {
+      if (degree === 0) {
+        order.push(nodeId);
+      }
+    }
+
+    // `order` doubles as the queue: nodes are appended once all their predecessors are placed
+    for (let i = 0; i < order.length; i++) {
+      for (const { neighborId } of this._getNeighborEdges(order[i], direction, types)) {
+        const remaining = inDegree.get(neighborId) - 1;
+        inDegree.set(neighborId, remaining);
+        if (remaining === 0) {
+          order.push(neighborId);
+        }
+      }
+    }
+
+    if (order.length < this.nodes.size) {
+      throw new CircularDependencyError(this._findUnplacedCycle(inDegree, direction, types));
+    }
+    return order;
+  }
+
+  /**
+   * Extracts a cycle from the nodes Kahn's algorithm could not place, i.e. those whose in-degree
+   * is still positive. Each of them has a predecessor among the others, so walking predecessors
+   * must eventually repeat a node. Iterative, so it also works on very deep graphs.
+   * @private
+   * @returns {string[]} - The cycle in edge direction, starting and ending with the same node.
+   */
+  _findUnplacedCycle(inDegree, direction, types) {
+    const backwards = direction === 'outgoing' ? 'incoming' : 'outgoing';
+    const path = [];
+    const index = new Map();
+    let nodeId = Array.from(inDegree.keys()).find(id => inDegree.get(id) > 0);
+
+    while (!index.has(nodeId)) {
+      index.set(nodeId, path.length);
+      path.push(nodeId);
+      nodeId = this._getNeighborEdges(nodeId, backwards, types)
+        .find(({ neighborId }) => inDegree.get(neighborId) > 0).neighborId;
+    }
+
+    // The walk runs against the sort direction; turn it around for outgoing edges
+    const cycle = path.slice(index.get(nodeId));
+    return direction === 'outgoing' ? [nodeId, ...cycle.reverse()] : [...cycle, nodeId];
+  }
+
+  /**
+   * Groups every node into levels (generations) so that each node is only reached from nodes in
+   * earlier levels. Nodes of one level do not depend on each other and can be evaluated in
+   * parallel once all earlier levels are done. A node's level is the length of the longest
+   * chain of edges leading to it.
+   * @param {Object} [options={}] - Level options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to consider. If not provided, all edges are considered.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - 'outgoing' places the start of each edge in an earlier level than its end; 'incoming' reverses the levels.
+   * @returns {string[][]} - The levels in order, each listing its node IDs in insertion order.
+   * @throws {CircularDependencyError} - If the filtered graph contains a cycle. The error's `cycle` property holds the cycle path.
+   */
+  getLevels(options = {}) {
+    const { edgeTypes, direction = 'outgoing' } = options;
+    const types = this._normalizeEdgeTypes(edgeTypes);
+    const position = new Map(Array.from(this.nodes.keys(), (nodeId, i) => [nodeId, i]));
+
+    const inDegree = new Map();
+    for (const nodeId of this.nodes.keys()) {
+      inDegree.set(nodeId, 0);
+    }
+    for (const nodeId of this.nodes.keys()) {
+      for (const { neighborId } of this._getNeighborEdges(nodeId, direction, types)) {
+        inDegree.set(neighborId, inDegree.get(neighborId) + 1);
+      }
+    }
+
+    const levels = [];
+    let placed = 0;
+    let level = Array.from(inDegree.keys()).filter(nodeId => inDegree.get(nodeId) === 0);
+    // A node joins the level after the one in which its last predecessor was placed
+    while (level.length > 0) {
+      levels.push(level);
+      placed += level.length;
+
+      const nextLevel = [];
+      for (const nodeId of level) {
+        for (const { neighborId } of this._getNeighborEdges(nodeId, direction, types)) {
+          const remaining = inDegree.get(neighborId) - 1;
+          inDegree.set(neighborId, remaining);
+          if (remaining === 0) {
+            nextLevel.push(neighborId);
+          }
+        }
+      }
+      level = nextLevel.sort((a, b) => position.get(a) - position.get(b));
+    }
+
+    if (placed < this.nodes.size) {
+      throw new CircularDependencyError(this._findUnplacedCycle(inDegree, direction, types));
+    }
+    return levels;
+  }
+
+  /**
+   * Finds the strongly connected components of the graph using an iterative version of
+   * Tarjan's algorithm. Every group of nodes that take part in a circular dependency ends up
+   * in the same component, and every node belongs to exactly one component.
+   * @param {Object} [options={}] - Detection options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @returns {string[][]} - The components in topological order. Members of each component are listed in node insertion order.
+   */
+  getStronglyConnectedComponents(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const position = new Map(Array.from(this.nodes.keys(), (nodeId, i) => [nodeId, i]));
+
+    const indices = new Map();
+    const lowLinks = new Map();
+    const onStack = new Set();
+    const stack = [];
+    const components = [];
+    let nextIndex = 0;
+
+    const enter = (nodeId) => {
+      indices.set(nodeId, nextIndex);
+      lowLinks.set(nodeId, nextIndex);
+      nextIndex++;
+      stack.push(nodeId);
+      onStack.add(nodeId);
+      return { nodeId, neighbors: this._getNeighborEdges(nodeId, 'outgoing', types), next: 0 };
+    };
+
+    for (const rootId of this.nodes.keys()) {
+      if (indices.has(rootId)) continue;
+
+      // Explicit call stack instead of recursion, so long dependency chains cannot overflow
+      const callStack = [enter(rootId)];
+      while (callStack.length > 0) {
+        const frame = callStack[callStack.length - 1];
+
+        if (frame.next < frame.neighbors.length) {
+          const { neighborId } = frame.neighbors[frame.next++];
+          if (!indices.has(neighborId)) {
+            callStack.push(enter(neighborId));
+          } else if (onStack.has(neighborId)) {
+            lowLinks.set(frame.nodeId, Math.min(lowLinks.get(frame.nodeId), indices.get(neighborId)));
+          }
+          continue;
+        }
+
+        callStack.pop();
+        if (callStack.length > 0) {
+          const parentId = callStack[callStack.length - 1].nodeId;
+          lowLinks.set(parentId, Math.min(lowLinks.get(parentId), lowLinks.get(frame.nodeId)));
+        }
+
+        if (lowLinks.get(frame.nodeId) === indices.get(frame.nodeId)) {
+          const component = [];
+          let memberId;
+          do {
+            memberId = stack.pop();
+            onStack.delete(memberId);
+            component.push(memberId);
+          } while (memberId !== frame.nodeId);
+          components.push(component.sort((a, b) => position.get(a) - position.get(b)));
+        }
+      }
+    }
+
+    // Tarjan's algorithm emits components in reverse topological order
+    return components.reverse();
+  }
+
+  /**
+   * Builds the condensation of the graph: a new, acyclic graph with one super-node per
+   * strongly connected component. Each super-node is named after the first member of its
+   * component (see getStronglyConnectedComponents) and carries `{ members }` as its data.
+   * Edges between members of the same component are dropped.
+   * @param {Object} [options={}] - Condensation options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to consider. If not provided, all edges are considered.
+   * @returns {DependencyGraph} - A new DependencyGraph instance whose nodes are the component super-nodes.
+   */
+  condense(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const components = this.getStronglyConnectedComponents({ edgeTypes: types });
+    const condensed = new DependencyGraph();
+
+    const superNodeOf = new Map();
+    for (const component of components) {
+      condensed.addNode(component[0], { members: component });
+      for (const memberId of component) {
+        superNodeOf.set(memberId, component[0]);
+      }
+    }
+
+    for (const nodeId of this.nodes.keys()) {
+      for (const { neighborId, edge } of this._getNeighborEdges(nodeId, 'outgoing', types)) {
+        const from = superNodeOf.get(nodeId);
+        const to = superNodeOf.get(neighborId);
+        if (from !== to) {
+          condensed.addEdge(from, to, edge.type, edge.data);
+        }
+      }
+    }
+
+    return condensed;
+  }
+
+  /**
+   * Marks nodes as changed so they are recalculated by the next plan from getRecalcPlan.
+   * Marks accumulate until clearDirty is called. Nodes that do not exist are ignored.
+   * @param {string|string[]} nodeIds - The ID of the changed node (or nodes).
+   * @returns {DependencyGraph} - The graph itself.
+   */
+  markDirty(nodeIds) {
+    for (const nodeId of Array.isArray(nodeIds) ? nodeIds : [nodeIds]) {
+      if (this.nodes.has(nodeId)) {
+        this._dirty.add(nodeId);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Gets the nodes marked as changed since the last clearDirty.
+   * @returns {string[]} - The dirty node IDs, in marking order.
+   */
+  getDirtyNodes() {
+    return Array.from(this._dirty);
+  }
+
+  /**
+   * Clears all dirty marks, typically once a recalculation plan has been carried out.
+   * @returns {DependencyGraph} - The graph itself.
+   */
+  clearDirty() {
+    this._dirty.clear();
+    return this;
+  }
+
+  /**
+   * Plans the recalculation of everything affected by the dirty nodes: the dirty nodes and all
+   * their dependents, each computed once in a single traversal. Nodes caught in a circular
+   * dependency cannot be ordered among themselves, so each such group is planned as one step.
+   * @param {Object} [options={}] - Planning options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - 'outgoing' treats the end of each edge as depending on its
+   * start; 'incoming' is for graphs whose edges point from a node to the nodes it depends on.
+   * @returns {Array<{nodeId: string}|{cycle: string[]}>} - The steps of the plan, each after every step it depends on.
+   * A `{nodeId}` step recalculates a single node. A `{cycle}` step stands for a group of nodes that depend on each
+   * other, with members in the order they were reached from the dirty nodes; nodes that depend on the group come after it.
+   */
+  getRecalcPlan(options = {}) {
+    const { direction = 'outgoing' } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    if (this._dirty.size === 0) {
+      return [];
+    }
+
+    const affected = this.traverse(Array.from(this._dirty), { edgeTypes: types, direction });
+    const affectedGraph = this.subgraph(affected, { edgeTypes: types });
+    const components = affectedGraph.getStronglyConnectedComponents();
+    const componentOf = new Map();
+    components.forEach((members, index) => members.forEach(nodeId => componentOf.set(nodeId, index)));
+
+    // Kahn's algorithm over the components, seeded in traversal order so the plan reads like the traversal
+    const inDegree = new Array(components.length).fill(0);
+    for (const nodeId of affected) {
+      for (const { neighborId } of affectedGraph._getNeighborEdges(nodeId, direction, null)) {
+        if (componentOf.get(neighborId) !== componentOf.get(nodeId)) {
+          inDegree[componentOf.get(neighborId)]++;
+        }
+      }
+    }
+    const queue = [];
+    for (const nodeId of affected) {
+      const index = componentOf.get(nodeId);
+      if (inDegree[index] === 0 && components[index][0] === nodeId) {
+        queue.push(index);
+      }
+    }
+
+    const steps = [];
+    for (let i = 0; i < queue.length; i++) {
+      const members = components[queue[i]];
+      const [nodeId] = members;
+      steps.push(members.length > 1 || this._hasEdgeOfType(`${nodeId}->${nodeId}`, types)
+        ? { cycle: members }
+        : { nodeId });
+
+      for (const memberId of members) {
+        for (const { neighborId } of affectedGraph._getNeighborEdges(memberId, direction, null)) {
+          const index = componentOf.get(neighborId);
+          if (index !== queue[i] && --inDegree[index] === 0) {
+            queue.push(index);
+          }
+        }
+      }
+    }
+    return steps;
+  }
+
+  /**
+   * Builds the transitive reduction of the graph: a new graph with the same nodes and
+   * reachability, but without redundant edges. An edge A->C is redundant when C can also be
+   * reached from A through other nodes (e.g. A->B->C). Parallel edges between two nodes are
+   * kept or dropped together.
+   * @param {Object} [options={}] - Reduction options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to consider. If not provided, all edges are considered. Other edges are not copied.
+   * @returns {DependencyGraph} - A new DependencyGraph instance.
+   * @throws {CircularDependencyError} - If the considered edges form a cycle, since the reduction is then not unique.
+   */
+  transitiveReduction(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const order = this.topologicalSort({ edgeTypes: types });
+    const position = new Map(order.map((nodeId, i) => [nodeId, i]));
+    const descendants = new Map();
+    const result = new DependencyGraph();
+
+    for (const [nodeId, data] of this.nodeData) {
+      result.addNode(nodeId, data);
+    }
+
+    // Children are handled in topological order: any other child that reaches a child comes
+    // before it, so a child already covered by an earlier one is only reachable indirectly
+    for (let i = order.length - 1; i >= 0; i--) {
+      const nodeId = order[i];
+      const edges = this._getNeighborEdges(nodeId, 'outgoing', types)
+        .sort((a, b) => position.get(a.neighborId) - position.get(b.neighborId));
+      const covered = new Set();
+
+      for (const { neighborId, edge } of edges) {
+        if (covered.has(neighborId) && !result.hasEdge(nodeId, neighborId)) continue;
+
+        result.addEdge(nodeId, neighborId, edge.type, edge.data);
+        covered.add(neighborId);
+        for (const descendantId of descendants.get(neighborId)) {
+          covered.add(descendantId);
+        }
+      }
+      descendants.set(nodeId, covered);
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds the transitive closure of the graph: a new graph with an edge from every node to
+   * every node it can reach. Existing edges are copied as they are; each added edge gets the
+   * given type and empty data. A node on a cycle reaches itself and gets a self-referencing edge.
+   * @param {Object} [options={}] - Closure options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed. Other edges are not copied.
+   * @param {string} [options.type='transitive'] - The type of the added edges.
+   * @returns {DependencyGraph} - A new DependencyGraph instance.
+   */
+  transitiveClosure(options = {}) {
+    const { type = 'transitive' } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const result = new DependencyGraph();
+
+    for (const [nodeId, data] of this.nodeData) {
+      result.addNode(nodeId, data);
+    }
+
+    for (const nodeId of this.nodes.keys()) {
+      for (const { neighborId, edge } of this._getNeighborEdges(nodeId, 'outgoing', types)) {
+        result.addEdge(nodeId, neighborId, edge.type, edge.data);
+      }
+
+      const reached = new Set();
+      const queue = [nodeId];
+      for (let i = 0; i < queue.length; i++) {
+        for (const { neighborId } of this._getNeighborEdges(queue[i], 'outgoing', types)) {
+          if (!reached.has(neighborId)) {
+            reached.add(neighborId);
+            queue.push(neighborId);
+          }
+        }
+      }
+      for (const reachedId of reached) {
+        if (!result.hasEdge(nodeId, reachedId)) {
+          result.addEdge(nodeId, reachedId, type);
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Builds the dominator tree of the nodes reachable from a root, using the iterative algorithm of
+   * Cooper, Harvey and Kennedy. A node D dominates a node N when every path from the root to N
+   * goes through D, so the dominators of a node are its ancestors in the tree. With direction
+   * 'incoming' and a final result as the root, the ancestors of an input are the nodes every path
+   * from that input to the result goes through.
+   * @param {string} rootId - The ID of the root node.
+   * @param {Object} [options={}] - Options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to follow edges in.
+   * @returns {Object|null} - A tree with the {node: string, children: Array} structure of getTree, where each node's
+   * children are the nodes it immediately dominates, in insertion order. Null if the root does not exist.
+   */
+  getDominatorTree(rootId, options = {}) {
+    if (!this.nodes.has(rootId)) {
+      return null;
+    }
+
+    const { direction = 'outgoing' } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const reverseDirection = direction === 'outgoing' ? 'incoming' : 'outgoing';
+
+    // Postorder numbers from an iterative DFS; higher numbers come first in reverse postorder
+    const postorder = new Map();
+    const callStack = [{ nodeId: rootId, neighbors: this._getNeighborEdges(rootId, direction, types), next: 0 }];
+    const discovered = new Set([rootId]);
+    while (callStack.length > 0) {
+      const frame = callStack[callStack.length - 1];
+      if (frame.next < frame.neighbors.length) {
+        const { neighborId } = frame.neighbors[frame.next++];
+        if (!discovered.has(neighborId)) {
+          discovered.add(neighborId);
+          callStack.push({ nodeId: neighborId, neighbors: this._getNeighborEdges(neighborId, direction, types), next: 0 });
+        }
+        continue;
+      }
+      callStack.pop();
+      postorder.set(frame.nodeId, postorder.size);
+    }
+
+    const reversePostorder = Array.from(postorder.keys()).reverse();
+    const idom = new Map([[rootId, rootId]]);
+    const intersect = (a, b) => {
+      while (a !== b) {
+        while (postorder.get(a) < postorder.get(b)) a = idom.get(a);
+        while (postorder.get(b) < postorder.get(a)) b = idom.get(b);
+      }
+      return a;
+    };
+
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const nodeId of reversePostorder) {
+        if (nodeId === rootId) continue;
+
+        let newIdom = null;
+        for (const { neighborId: predecessorId } of this._getNeighborEdges(nodeId, reverseDirection, types)) {
+          if (!idom.has(predecessorId)) continue;
+          newIdom = newIdom === null ? predecessorId : intersect(predecessorId, newIdom);
+        }
+        if (idom.get(nodeId) !== newIdom) {
+          idom.set(nodeId, newIdom);
+          changed = true;
+        }
+      }
+    }
+
+    const treeNodes = new Map();
+    for (const nodeId of this.nodes.keys()) {
+      if (idom.has(nodeId)) {
+        treeNodes.set(nodeId, { node: nodeId, children: [] });
+      }
+    }
+    for (const [nodeId, treeNode] of treeNodes) {
+      if (nodeId !== rootId) {
+        treeNodes.get(idom.get(nodeId)).children.push(treeNode);
+      }
+    }
+    return treeNodes.get(rootId);
+  }
+
+  /**
+   * Finds the articulation nodes (cut vertices) of the graph: nodes whose removal would split
+   * their connected component in two, ignoring edge direction. These are the single points
+   * through which otherwise separate parts of the graph are connected.
+   * @param {Object} [options={}] - Options.
+   * @param {string|string[]} [options.edgeTypes] - Only consider edges of these type(s). If not provided, all edges are considered.
+   * @returns {string[]} - The articulation node IDs, in insertion order.
+   */
+  getArticulationNodes(options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const neighborsOf = (nodeId) => {
+      const neighbors = new Set();
+      for (const direction of ['outgoing', 'incoming']) {
+        for (const { neighborId } of this._getNeighborEdges(nodeId, direction, types)) {
+          if (neighborId !== nodeId) {
+            neighbors.add(neighborId);
+          }
+        }
+      }
+      return Array.from(neighbors);
+    };
+
+    const discovery = new Map();
+    const low = new Map();
+    const articulation = new Set();
+
+    for (const rootId of this.nodes.keys()) {
+      if (discovery.has(rootId)) continue;
+
+      discovery.set(rootId, discovery.size);
+      low.set(rootId, discovery.get(rootId));
+      let rootChildren = 0;
+
+      // Explicit call stack instead of recursion, so long dependency chains cannot overflow
+      const callStack = [{ nodeId: rootId, parentId: null, neighbors: neighborsOf(rootId), next: 0 }];
+      while (callStack.length > 0) {
+        const frame = callStack[callStack.length - 1];
+
+        if (frame.next < frame.neighbors.length) {
+          const neighborId = frame.neighbors[frame.next++];
+          if (!discovery.has(neighborId)) {
+            discovery.set(neighborId, discovery.size);
+            low.set(neighborId, discovery.get(neighborId));
+            if (frame.nodeId === rootId) {
+              rootChildren++;
+            }
+            callStack.push({ nodeId: neighborId, parentId: frame.nodeId, neighbors: neighborsOf(neighborId), next: 0 });
+          } else if (neighborId !== frame.parentId) {
+            low.set(frame.nodeId, Math.min(low.get(frame.nodeId), discovery.get(neighborId)));
+          }
+          continue;
+        }
+
+        callStack.pop();
+        if (callStack.length > 0) {
+          const parentId = callStack[callStack.length - 1].nodeId;
+          low.set(parentId, Math.min(low.get(parentId), low.get(frame.nodeId)));
+          // Nothing below this node reaches above its parent, so the parent separates them
+          if (parentId !== rootId && low.get(frame.nodeId) >= discovery.get(parentId)) {
+            articulation.add(parentId);
+          }
+        }
+      }
+
+      // The root of the search only separates anything if it has several subtrees
+      if (rootChildren > 1) {
+        articulation.add(rootId);
+      }
     }
-    return result;
+
+    return Array.from(this.nodes.keys()).filter(nodeId => articulation.has(nodeId));
   }
 
   /**
-   * Gets the nodes that a given node depends on (its dependencies).
-   * @param {string} nodeId - The ID of the node.
-   * @param {Object} [options={}] - Traversal options.
-   * @returns {string[]} - An array of dependency node IDs.
+   * Extracts the subgraph induced by a set of nodes: a new graph containing those nodes with
+   * their data, and every edge between them with its data. Data objects are shared, not copied.
+   * @param {Iterable<string>} nodeIds - The IDs of the nodes to keep. IDs that don't exist are ignored.
+   * @param {Object} [options={}] - Extraction options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to keep. If not provided, all edges are kept.
+   * @returns {DependencyGraph} - A new DependencyGraph instance.
    */
-  getDependencies(nodeId, options = {}) {
-    const result = this.traverse(nodeId, { ...options, direction: 'incoming' });
-    const index = result.indexOf(nodeId);
-    if (index > -1) {
-      result.splice(index, 1);
+  subgraph(nodeIds, options = {}) {
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const selected = new Set(Array.from(nodeIds).filter(nodeId => this.nodes.has(nodeId)));
+    const result = new DependencyGraph();
+
+    for (const nodeId of selected) {
+      result.addNode(nodeId, this.nodeData.get(nodeId));
     }
+    for (const nodeId of selected) {
+      for (const { neighborId, edge } of this._getNeighborEdges(nodeId, 'outgoing', types)) {
+        if (selected.has(neighborId)) {
+          result.addEdge(nodeId, neighborId, edge.type, edge.data);
+        }
+      }
+    }
+
     return result;
   }
 
   /**
-   * Removes an edge between two nodes.
-   * @param {string} fromNodeId - The ID of the starting node.
-   * @param {string} toNodeId - The ID of the ending node.
-   * @returns {boolean} - True if the edge was removed, false if it didn't exist.
+   * Extracts the region around a node: the subgraph induced by every node reachable from it
+   * within a number of hops.
+   * @param {string} nodeId - The ID of the center node.
+   * @param {Object} [options={}] - Extraction options.
+   * @param {number} [options.depth=1] - The maximum number of hops from the center node.
+   * @param {'outgoing'|'incoming'|'both'} [options.direction='outgoing'] - The direction to follow edges in.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow and keep. If not provided, all edges are used.
+   * @returns {DependencyGraph} - A new DependencyGraph instance, empty if the node doesn't exist.
    */
-  removeEdge(fromNodeId, toNodeId) {
-    const edgeId = `${fromNodeId}->${toNodeId}`;
-    if (!this.edges.has(edgeId)) {
-      return false;
+  neighborhood(nodeId, options = {}) {
+    const { depth = 1, direction = 'outgoing' } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    if (!this.nodes.has(nodeId)) {
+      return new DependencyGraph();
     }
-    this.edges.delete(edgeId);
 
-    // Remove outgoing reference
-    this.nodes.get(fromNodeId)?.delete(toNodeId);
-    // Remove incoming reference
-    this.incomingEdges.get(toNodeId)?.delete(fromNodeId);
-    
-    return true;
+    const directions = direction === 'both' ? ['outgoing', 'incoming'] : [direction];
+    const distances = new Map([[nodeId, 0]]);
+    const queue = [nodeId];
+
+    for (let i = 0; i < queue.length; i++) {
+      const currentNodeId = queue[i];
+      const distance = distances.get(currentNodeId);
+      if (distance >= depth) continue;
+
+      for (const currentDirection of directions) {
+        for (const { neighborId } of this._getNeighborEdges(currentNodeId, currentDirection, types)) {
+          if (!distances.has(neighborId)) {
+            distances.set(neighborId, distance + 1);
+            queue.push(neighborId);
+          }
+        }
+      }
+    }
+
+    return this.subgraph(queue, { edgeTypes: types });
   }
 
   /**
-   * Traverses the graph from a starting node, following edges of specified types.
-   * @param {string} startNodeId - The ID of the node to start traversal from.
-   * @param {Object} [options={}] - Traversal options.
+   * Finds the cheapest path between two nodes. Without a weight, every edge costs 1 and a
+   * breadth-first search finds the path with the fewest edges; with a weight, Dijkstra's
+   * algorithm finds the path with the lowest total weight.
+   * @param {string} fromNodeId - The ID of the node to start from.
+   * @param {string} toNodeId - The ID of the node to reach.
+   * @param {Object} [options={}] - Search options.
    * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
-   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to traverse. 'outgoing' finds dependencies; 'incoming' finds dependents.
-   * @param {'bfs'|'dfs'} [options.strategy='bfs'] - The traversal strategy. 'bfs' for breadth-first search, 'dfs' for depth-first search.
-   * @returns {string[]} - An array of visited node IDs in traversal order.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to follow edges in.
+   * @param {string|Function} [options.weight] - The edge data property holding the weight, or a function (edge) => number.
+   * @returns {{path: string[], edges: Array<{from: string, to: string, type: string, data: any}>, cost: number}|null} -
+   * The node path, the edges traversed and the total cost, or null if the target is unreachable.
+   * @throws {Error} - If an edge's weight is not a finite, non-negative number.
    */
-  traverse(startNodeId, options = {}) {
-    if (!this.nodes.has(startNodeId)) {
-      console.error("Start node for traversal does not exist.");
-      return [];
+  shortestPath(fromNodeId, toNodeId, options = {}) {
+    const { direction = 'outgoing', weight } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    if (!this.nodes.has(fromNodeId) || !this.nodes.has(toNodeId)) {
+      return null;
     }
 
-    const { edgeTypes, direction = 'outgoing', strategy = 'bfs' } = options;
-    const types = edgeTypes ? (Array.isArray(edgeTypes) ? edgeTypes : [edgeTypes]) : null;
+    const getWeight = typeof weight === 'function' ? weight : (edge) => edge.data?.[weight];
+    // previous: nodeId -> {nodeId, edge} of the hop that reached it on the best known path
+    const previous = new Map([[fromNodeId, null]]);
+    const costs = new Map([[fromNodeId, 0]]);
+
+    if (weight === undefined) {
+      const queue = [fromNodeId];
+      for (let i = 0; i < queue.length && !previous.has(toNodeId); i++) {
+        const currentNodeId = queue[i];
+        for (const { neighborId, edge } of this._getNeighborEdges(currentNodeId, direction, types)) {
+          if (!previous.has(neighborId)) {
+            previous.set(neighborId, { nodeId: currentNodeId, edge });
+            costs.set(neighborId, costs.get(currentNodeId) + 1);
+            queue.push(neighborId);
+          }
+        }
+      }
+    } else {
+      const settled = new Set();
+      const heap = new MinHeap();
+      heap.push(0, fromNodeId);
+      while (heap.size > 0) {
+        const [cost, currentNodeId] = heap.pop();
+        if (settled.has(currentNodeId)) continue;
+        settled.add(currentNodeId);
+        if (currentNodeId === toNodeId) break;
+
+        for (const { neighborId, edge } of this._getNeighborEdges(currentNodeId, direction, types)) {
+          const edgeWeight = getWeight({ ...edge });
+          if (typeof edgeWeight !== 'number' || !Number.isFinite(edgeWeight) || edgeWeight < 0) {
+            throw new Error(`Invalid weight for edge '${edge.from}->${edge.to}' of type '${edge.type}'.`);
+          }
+          const candidate = cost + edgeWeight;
+          if (!costs.has(neighborId) || candidate < costs.get(neighborId)) {
+            costs.set(neighborId, candidate);
+            previous.set(neighborId, { nodeId: currentNodeId, edge });
+            heap.push(candidate, neighborId);
+          }
+        }
+      }
+    }
 
-    const visited = new Set();
-    const queue = [startNodeId];
-    const result = [];
+    if (!previous.has(toNodeId)) {
+      return null;
+    }
 
-    const adjacencyMap = direction === 'outgoing' ? this.nodes : this.incomingEdges;
+    const path = [toNodeId];
+    const edges = [];
+    for (let hop = previous.get(toNodeId); hop !== null; hop = previous.get(hop.nodeId)) {
+      path.unshift(hop.nodeId);
+      edges.unshift({ ...hop.edge });
+    }
+    return { path, edges, cost: costs.get(toNodeId) };
+  }
 
-    while (queue.length > 0) {
-      // BFS uses shift() (FIFO - queue), DFS uses pop() (LIFO - stack)
-      const currentNodeId = strategy === 'dfs' ? queue.pop() : queue.shift();
-      if (!visited.has(currentNodeId)) {
-        visited.add(currentNodeId);
-        result.push(currentNodeId);
+  /**
+   * Enumerates the simple paths (paths that visit no node twice) between two nodes. Paths
+   * that only differ in the type of one of their hops are distinct and reported separately.
+   * @param {string} fromNodeId - The ID of the node to start from.
+   * @param {string} toNodeId - The ID of the node to reach.
+   * @param {Object} [options={}] - Search options.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to follow edges in.
+   * @param {number} [options.maxPaths=Infinity] - Stop after this many paths have been found.
+   * @param {number} [options.maxDepth=Infinity] - Only report paths with at most this many edges.
+   * @returns {Array<{path: string[], edges: Array<{from: string, to: string, type: string, data: any}>}>} - The paths found, in depth-first order.
+   */
+  findPaths(fromNodeId, toNodeId, options = {}) {
+    const { direction = 'outgoing', maxPaths = Infinity, maxDepth = Infinity } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const paths = [];
+    if (!this.nodes.has(fromNodeId) || !this.nodes.has(toNodeId) || maxPaths <= 0) {
+      return paths;
+    }
+    if (fromNodeId === toNodeId) {
+      return [{ path: [fromNodeId], edges: [] }];
+    }
 
-        const neighbors = adjacencyMap.get(currentNodeId) || new Set();
-        for (const neighborId of neighbors) {
-          const edgeId = direction === 'outgoing'
-            ? `${currentNodeId}->${neighborId}`
-            : `${neighborId}->${currentNodeId}`;
+    // Explicit stack of partially explored nodes, so long chains cannot overflow the call stack
+    const path = [fromNodeId];
+    const hops = [];
+    const onPath = new Set(path);
+    const stack = [{ neighbors: this._getNeighborEdges(fromNodeId, direction, types), next: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.next >= frame.neighbors.length) {
+        stack.pop();
+        onPath.delete(path.pop());
+        hops.pop();
+        continue;
+      }
 
-          const edge = this.edges.get(edgeId);
-          if (!edge) continue;
+      const { neighborId, edge } = frame.neighbors[frame.next++];
+      if (onPath.has(neighborId)) continue;
 
-          if (!types || types.includes(edge.type)) {
-            if (!visited.has(neighborId)) {
-              queue.push(neighborId);
-            }
-          }
+      if (neighborId === toNodeId) {
+        paths.push({ path: [...path, neighborId], edges: [...hops, { ...edge }] });
+        if (paths.length >= maxPaths) {
+          break;
         }
+      } else if (path.length < maxDepth) {
+        path.push(neighborId);
+        hops.push({ ...edge });
+        onPath.add(neighborId);
+        stack.push({ neighbors: this._getNeighborEdges(neighborId, direction, types), next: 0 });
       }
     }
-    return result;
-  }
 
+    return paths;
+  }
 
   /**
-   * Detects circular dependencies in the graph.
-   * @param {Object} [options={}] - Detection options.
-   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to check. If not provided, all edges are checked.
-   * @returns {boolean} - True if a circular dependency is found, false otherwise.
+   * Finds the critical path of the graph: the longest chain of dependencies, measured by node
+   * durations and edge weights, which bounds the total run time when every node starts as soon
+   * as all its dependencies are done. Also schedules every node with the critical path method.
+   * @param {Object} [options={}] - Analysis options.
+   * @param {string|Function} [options.duration] - The node data property holding each node's duration, or a function
+   * (nodeId, data) => number. Defaults to 1 per node, or to 0 when only `weight` is given.
+   * @param {string|Function} [options.weight] - The edge data property holding each edge's delay (e.g. 'weight'), or a
+   * function (edge) => number. Defaults to 0.
+   * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
+   * @returns {{path: string[], edges: Object[], duration: number, schedule: Map<string, {earliestStart: number,
+   * earliestFinish: number, latestStart: number, latestFinish: number, slack: number}>}} - The critical path with
+   * the edges along it and its total duration, and the schedule of every node. Nodes with no slack are critical.
+   * @throws {CircularDependencyError} If the followed edges contain a cycle.
+   * @throws {Error} If a duration or weight is not a finite, non-negative number.
    */
-  hasCircularDependency(options = {}) {
-    const edgeTypes = options.edgeTypes ? (Array.isArray(options.edgeTypes) ? options.edgeTypes : [options.edgeTypes]) : null;
-    const visiting = new Set();
-    const visited = new Set();
+  criticalPath(options = {}) {
+    const { duration, weight } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const order = this.topologicalSort({ edgeTypes: types });
+
+    const defaultDuration = weight === undefined ? 1 : 0;
+    const getDuration = typeof duration === 'function'
+      ? duration
+      : (nodeId, data) => (duration === undefined ? defaultDuration : data?.[duration]);
+    const getWeight = typeof weight === 'function'
+      ? weight
+      : (edge) => (weight === undefined ? 0 : edge.data?.[weight]);
+
+    const durations = new Map();
+    for (const nodeId of order) {
+      const nodeDuration = getDuration(nodeId, this.nodeData.get(nodeId));
+      if (typeof nodeDuration !== 'number' || !Number.isFinite(nodeDuration) || nodeDuration < 0) {
+        throw new Error(`Invalid duration for node '${nodeId}'.`);
+      }
+      durations.set(nodeId, nodeDuration);
+    }
+    const edgeWeights = new Map();
+    const weightOf = (edge) => {
+      if (!edgeWeights.has(edge)) {
+        const edgeWeight = getWeight({ ...edge });
+        if (typeof edgeWeight !== 'number' || !Number.isFinite(edgeWeight) || edgeWeight < 0) {
+          throw new Error(`Invalid weight for edge '${edge.from}->${edge.to}' of type '${edge.type}'.`);
+        }
+        edgeWeights.set(edge, edgeWeight);
+      }
+      return edgeWeights.get(edge);
+    };
 
-    for (const nodeId of this.nodes.keys()) {
-      if (this._detectCycleUtil(nodeId, visiting, visited, edgeTypes)) {
-        return true;
+    // Forward pass: a node starts once its slowest dependency (plus the edge delay) is done
+    const earliestStart = new Map(order.map(nodeId => [nodeId, 0]));
+    // previous: nodeId -> the incoming edge that determines its earliest start
+    const previous = new Map();
+    let total = 0;
+    let lastNodeId = null;
+    for (const nodeId of order) {
+      const finish = earliestStart.get(nodeId) + durations.get(nodeId);
+      // A tie with the current end is only taken if it extends the path, keeping zero-cost nodes at its end
+      if (lastNodeId === null || finish > total || (finish === total && previous.get(nodeId)?.from === lastNodeId)) {
+        total = finish;
+        lastNodeId = nodeId;
+      }
+      for (const { neighborId, edge } of this._getNeighborEdges(nodeId, 'outgoing', types)) {
+        const start = finish + weightOf(edge);
+        // Any dependency sets the start of a node, so zero-cost nodes at its start are kept too
+        if (!previous.has(neighborId) || start > earliestStart.get(neighborId)) {
+          earliestStart.set(neighborId, start);
+          previous.set(neighborId, edge);
+        }
       }
     }
-    return false;
+
+    // Backward pass: a node must finish before the latest start of its earliest-needed dependent
+    const latestFinish = new Map(order.map(nodeId => [nodeId, total]));
+    for (let i = order.length - 1; i >= 0; i--) {
+      const nodeId = order[i];
+      for (const { neighborId, edge } of this._getNeighborEdges(nodeId, 'outgoing', types)) {
+        const finish = latestFinish.get(neighborId) - durations.get(neighborId) - weightOf(edge);
+        latestFinish.set(nodeId, Math.min(latestFinish.get(nodeId), finish));
+      }
+    }
+
+    const schedule = new Map();
+    for (const nodeId of order) {
+      const nodeDuration = durations.get(nodeId);
+      schedule.set(nodeId, {
+        earliestStart: earliestStart.get(nodeId),
+        earliestFinish: earliestStart.get(nodeId) + nodeDuration,
+        latestStart: latestFinish.get(nodeId) - nodeDuration,
+        latestFinish: latestFinish.get(nodeId),
+        slack: latestFinish.get(nodeId) - nodeDuration - earliestStart.get(nodeId)
+      });
+    }
+
+    const path = lastNodeId === null ? [] : [lastNodeId];
+    const edges = [];
+    for (let edge = previous.get(lastNodeId); edge; edge = previous.get(edge.from)) {
+      path.unshift(edge.from);
+      edges.unshift({ ...edge });
+    }
+    return { path, edges, duration: total, schedule };
   }
 
   /**
-   * A recursive utility function for hasCircularDependency, using DFS.
+   * Normalizes an edge type filter to an array of types, or null when all types are followed.
    * @private
    */
-  _detectCycleUtil(nodeId, visiting, visited, edgeTypes) {
-    visiting.add(nodeId);
+  _normalizeEdgeTypes(edgeTypes) {
+    return edgeTypes ? (Array.isArray(edgeTypes) ? edgeTypes : [edgeTypes]) : null;
+  }
+
+  /**
+   * Lists the neighbors of a node in the given direction together with the connecting edge,
+   * skipping edges whose type is filtered out.
+   * @private
+   * @returns {Array<{neighborId: string, edge: Object}>}
+   */
+  _getNeighborEdges(nodeId, direction, edgeTypes) {
+    const adjacencyMap = direction === 'outgoing' ? this.nodes : this.incomingEdges;
+    const neighbors = adjacencyMap.get(nodeId) || new Set();
+    const result = [];
 
-    const neighbors = this.nodes.get(nodeId) || new Set();
     for (const neighborId of neighbors) {
-      const edgeId = `${nodeId}->${neighborId}`;
-      const edge = this.edges.get(edgeId);
+      const edgeId = direction === 'outgoing'
+        ? `${nodeId}->${neighborId}`
+        : `${neighborId}->${nodeId}`;
 
-      if (edge && (!edgeTypes || edgeTypes.includes(edge.type))) {
-        if (visiting.has(neighborId)) {
-          return true; // Cycle detected
-        }
-        if (!visited.has(neighborId)) {
-          if (this._detectCycleUtil(neighborId, visiting, visited, edgeTypes)) {
-            return true;
-          }
+      for (const edge of this.edges.get(edgeId)?.values() || []) {
+        if (!edgeTypes || edgeTypes.includes(edge.type)) {
+          result.push({ neighborId, edge });
         }
       }
     }
+    return result;
+  }
 
-    visiting.delete(nodeId);
-    visited.add(nodeId);
-    return false;
+  /**
+   * Checks whether any edge between a pair of nodes passes an edge type filter.
+   * @private
+   * @param {string} edgeId - The pair key, formatted as 'fromNodeId->toNodeId'.
+   * @param {string[]|null} edgeTypes - The normalized edge type filter.
+   */
+  _hasEdgeOfType(edgeId, edgeTypes) {
+    const edgesByType = this.edges.get(edgeId);
+    if (!edgesByType) {
+      return false;
+    }
+    if (!edgeTypes) {
+      return edgesByType.size > 0;
+    }
+    return edgeTypes.some(type => edgesByType.has(type));
   }
 
   /**
-   * Finds a circular dependency in the graph and returns the path.
+   * Enumerates the distinct elementary cycles of the graph using Johnson's algorithm.
+   * Each cycle is reported once, starting from its earliest-inserted node. Cycles that only
+   * differ in the type of one of their hops are distinct and reported separately.
    * @param {Object} [options={}] - Detection options.
    * @param {string|string[]} [options.edgeTypes] - The edge type(s) to check. If not provided, all edges are checked.
-   * @returns {string[]|null} - An array of node IDs representing the cycle path, or null if no cycle is found.
+   * @param {number} [options.maxCycles=Infinity] - Stop after this many cycles have been found.
+   * @param {number} [options.maxLength=Infinity] - Only report cycles with at most this many edges.
+   * @returns {Array<{path: string[], edges: Array<{from: string, to: string, type: string, data: any}>}>} - The cycles found. `path` starts and ends with the same node ID, and `edges` lists every hop along it.
    */
-  findCircularDependency(options = {}) {
-    const edgeTypes = options.edgeTypes ? (Array.isArray(options.edgeTypes) ? options.edgeTypes : [options.edgeTypes]) : null;
-    const visited = new Set(); // Nodes that have been fully explored in any DFS run.
+  findAllCircularDependencies(options = {}) {
+    const { maxCycles = Infinity, maxLength = Infinity } = options;
+    const types = this._normalizeEdgeTypes(options.edgeTypes);
+    const cycles = [];
+    if (maxCycles <= 0 || maxLength <= 0) {
+      return cycles;
+    }
 
-    for (const nodeId of this.nodes.keys()) {
-      if (!visited.has(nodeId)) {
-        // For each new starting node, we start a new DFS with a fresh path and visiting set.
-        const cyclePath = this._findCycleUtil(nodeId, new Set(), visited, edgeTypes, []);
-        if (cyclePath) {
-          return cyclePath;
-        }
+    // A cycle never leaves a strongly connected component, so searches stay inside one
+    const componentOf = new Map();
+    for (const component of this.getStronglyConnectedComponents({ edgeTypes: types })) {
+      for (const memberId of component) {
+        componentOf.set(memberId, component);
       }
     }
-    return null;
-  }
+    const position = new Map(Array.from(this.nodes.keys(), (nodeId, i) => [nodeId, i]));
+
+    for (const startId of this.nodes.keys()) {
+      const startPosition = position.get(startId);
+      const component = componentOf.get(startId);
+      // Cycles through earlier nodes have already been reported from those nodes
+      const getCandidates = (nodeId) => this._getNeighborEdges(nodeId, 'outgoing', types)
+        .filter(({ neighborId }) => componentOf.get(neighborId) === component && position.get(neighborId) >= startPosition);
+
+      const blocked = new Set([startId]);
+      const blockedBy = new Map();
+      const unblock = (nodeId) => {
+        const pending = [nodeId];
+        while (pending.length > 0) {
+          const currentId = pending.pop();
+          blocked.delete(currentId);
+          for (const waitingId of blockedBy.get(currentId) || []) {
+            if (blocked.has(waitingId)) {
+              pending.push(waitingId);
+            }
+          }
+          blockedBy.delete(currentId);
+        }
+      };
 
-  /**
-   * A recursive utility function for findCircularDependency.
-   * @private
-   */
-  _findCycleUtil(nodeId, visiting, visited, edgeTypes, path) {
-    visiting.add(nodeId);
-    path.push(nodeId);
+      const path = [startId];
+      const hops = [];
+      const callStack = [{ nodeId: startId, neighbors: getCandidates(startId), next: 0, found: false }];
 
-    const neighbors = this.nodes.get(nodeId) || new Set();
-    for (const neighborId of neighbors) {
-      const edgeId = `${nodeId}->${neighborId}`;
-      const edge = this.edges.get(edgeId);
+      while (callStack.length > 0) {
+        const frame = callStack[callStack.length - 1];
 
-      if (edge && (!edgeTypes || edgeTypes.includes(edge.type))) {
-        if (visiting.has(neighborId)) {
-          // Cycle detected. Construct the path.
-          const cycleStartIndex = path.indexOf(neighborId);
-          const cyclePath = path.slice(cycleStartIndex);
-          cyclePath.push(neighborId); // Add the final node to show the loop closure.
-          return cyclePath;
+        if (frame.next < frame.neighbors.length) {
+          const { neighborId, edge } = frame.neighbors[frame.next++];
+          const hop = { from: frame.nodeId, to: neighborId, type: edge.type, data: edge.data };
+
+          if (neighborId === startId) {
+            cycles.push({ path: [...path, startId], edges: [...hops, hop] });
+            if (cycles.length >= maxCycles) {
+              return cycles;
+            }
+            frame.found = true;
+          } else if (!blocked.has(neighborId)) {
+            if (path.length < maxLength) {
+              blocked.add(neighborId);
+              path.push(neighborId);
+              hops.push(hop);
+              callStack.push({ nodeId: neighborId, neighbors: getCandidates(neighborId), next: 0, found: false });
+            } else {
+              // The length limit cut this branch short, so it must not stay blocked
+              frame.found = true;
+            }
+          }
+          continue;
         }
 
-        // We only recurse on nodes that have not been fully explored yet.
-        if (!visited.has(neighborId)) {
-          const result = this._findCycleUtil(neighborId, visiting, visited, edgeTypes, path);
-          if (result) {
-            return result; // Propagate the found cycle path up the call stack.
+        callStack.pop();
+        if (frame.found) {
+          unblock(frame.nodeId);
+        } else {
+          for (const { neighborId } of frame.neighbors) {
+            if (!blockedBy.has(neighborId)) {
+              blockedBy.set(neighborId, new Set());
+            }
+            blockedBy.get(neighborId).add(frame.nodeId);
           }
         }
+
+        if (callStack.length > 0) {
+          path.pop();
+          hops.pop();
+          callStack[callStack.length - 1].found ||= frame.found;
+        }
       }
     }
 
-    visiting.delete(nodeId);
-    path.pop(); // Backtrack
-    visited.add(nodeId); // Mark this node as fully explored and safe.
-    return null;
+    return cycles;
   }
 
   /**
@@ -327,33 +2540,123 @@ module.exports = class DependencyGraph {
     const data = {
       nodes: Array.from(this.nodes.entries(), ([k, v]) => [k, Array.from(v)]),
       incomingEdges: Array.from(this.incomingEdges.entries(), ([k, v]) => [k, Array.from(v)]),
-      edges: Array.from(this.edges.entries()),
+      edges: Array.from(this.edges.entries(), ([k, v]) => [k, Array.from(v.values())]),
+      nodeData: Array.from(this.nodeData.entries()),
     };
     return JSON.stringify(data, null, 2);
   }
 
   /**
-   * Deserializes a JSON string into a new DependencyGraph instance.
+   * Deserializes a JSON string into a new DependencyGraph instance. Called on a subclass, such
+   * as WorkbookGraph, it returns an instance of that subclass.
    * @param {string} jsonString - The JSON string representing the graph.
    * @returns {DependencyGraph} - A new DependencyGraph instance.
    */
   static deserialize(jsonString) {
     const data = JSON.parse(jsonString);
-    const graph = new DependencyGraph();
+    const graph = new this();
 
     graph.nodes = new Map(data.nodes.map(([key, value]) => [key, new Set(value)]));
     graph.incomingEdges = new Map(data.incomingEdges.map(([key, value]) => [key, new Set(value)]));
-    graph.edges = new Map(data.edges);
+    graph.edges = new Map(data.edges.map(([key, value]) => {
+      // Graphs serialized before parallel edges existed store a single {to, type, data} edge per pair
+      const pairEdges = Array.isArray(value)
+        ? value
+        : [{ from: key.slice(0, key.length - value.to.length - 2), ...value }];
+      return [key, new Map(pairEdges.map(edge => [edge.type, edge]))];
+    }));
+    // Graphs serialized before node data existed get an empty object per node
+    graph.nodeData = new Map(data.nodeData || data.nodes.map(([key]) => [key, {}]));
 
     return graph;
   }
 
+  /**
+   * Computes the changes that turn one graph into another. Edges are identified by their
+   * start node, end node and type, so an edge whose type changed appears as removed and added.
+   * The patch only holds plain values and can be sent as JSON.
+   * @param {DependencyGraph} a - The original graph.
+   * @param {DependencyGraph} b - The updated graph.
+   * @returns {{nodes: {added: Object[], removed: Object[], updated: Object[]}, edges: {added: Object[], removed: Object[], updated: Object[]}}} -
+   * The patch. Node entries are `{nodeId, data}` and edge entries are `{from, to, type, data}`; updated entries also hold `previousData`.
+   */
+  static diff(a, b) {
+    const patch = {
+      nodes: { added: [], removed: [], updated: [] },
+      edges: { added: [], removed: [], updated: [] }
+    };
+
+    for (const [nodeId, data] of a.nodeData) {
+      if (!b.nodes.has(nodeId)) {
+        patch.nodes.removed.push({ nodeId, data });
+      } else if (!isEqualData(data, b.nodeData.get(nodeId))) {
+        patch.nodes.updated.push({ nodeId, data: b.nodeData.get(nodeId), previousData: data });
+      }
+    }
+    for (const [nodeId, data] of b.nodeData) {
+      if (!a.nodes.has(nodeId)) {
+        patch.nodes.added.push({ nodeId, data });
+      }
+    }
+
+    for (const [edgeId, edgesByType] of a.edges) {
+      for (const edge of edgesByType.values()) {
+        const other = b.edges.get(edgeId)?.get(edge.type);
+        if (!other) {
+          patch.edges.removed.push({ ...edge });
+        } else if (!isEqualData(edge.data, other.data)) {
+          patch.edges.updated.push({ ...other, previousData: edge.data });
+        }
+      }
+    }
+    for (const [edgeId, edgesByType] of b.edges) {
+      for (const edge of edgesByType.values()) {
+        if (!a.edges.get(edgeId)?.has(edge.type)) {
+          patch.edges.added.push({ ...edge });
+        }
+      }
+    }
+
+    return patch;
+  }
+
+  /**
+   * Applies a patch produced by DependencyGraph.diff() as a single transaction.
+   * Removals of nodes or edges that don't exist are ignored.
+   * @param {Object} patch - The patch to apply.
+   * @returns {DependencyGraph} - This graph, for chaining.
+   */
+  applyPatch(patch) {
+    const { nodes = {}, edges = {} } = patch;
+    this.transaction(() => {
+      for (const edge of edges.removed || []) {
+        this.removeEdge(edge.from, edge.to, edge.type);
+      }
+      for (const { nodeId } of nodes.removed || []) {
+        this.removeNode(nodeId);
+      }
+      for (const { nodeId, data } of [...(nodes.added || []), ...(nodes.updated || [])]) {
+        if (!this.addNode(nodeId, data)) {
+          this.setNodeData(nodeId, data);
+        }
+      }
+      for (const edge of [...(edges.added || []), ...(edges.updated || [])]) {
+        this.addEdge(edge.from, edge.to, edge.type, edge.data);
+      }
+    });
+    return this;
+  }
+
   /**
    * Builds a tree structure starting from a given node, representing the graph hierarchy.
    * @param {string} startNodeId - The ID of the node to start from.
    * @param {Object} [options={}] - Tree building options.
    * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
    * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to traverse. 'outgoing' finds dependencies; 'incoming' finds dependents.
+   * @param {boolean} [options.includeData=false] - Whether to add each node's data to its tree node as `data`.
+   * @param {number} [options.maxDepth=Infinity] - Do not expand nodes this many edges away from the start node.
+   * @param {Function} [options.nodeFilter] - Called as (nodeId, depth) before a node is added. Returning false leaves the node and its subtree out.
+   * @param {Function} [options.edgeFilter] - Called as (edge, from, to) for each edge that could be followed. Returning false ignores the edge.
    * @returns {Object|null} - A tree object with {node: string, children: Array} structure, or null if the start node doesn't exist.
    */
   getTree(startNodeId, options = {}) {
@@ -361,50 +2664,74 @@ module.exports = class DependencyGraph {
       console.error("Start node for tree building does not exist.");
       return null;
     }
+    return this.getForest([startNodeId], options)[0];
+  }
 
-    const { edgeTypes, direction = 'outgoing' } = options;
-    const types = edgeTypes ? (Array.isArray(edgeTypes) ? edgeTypes : [edgeTypes]) : null;
+  /**
+   * Builds one tree per start node, sharing visited state between them: a node appears in at most
+   * one tree, and start nodes already placed in an earlier tree do not get their own.
+   * @param {string[]} startNodeIds - The IDs of the nodes to start from. Nodes that do not exist are ignored.
+   * @param {Object} [options={}] - Tree building options, same as getTree.
+   * @returns {Object[]} - The trees, each with the {node: string, children: Array} structure.
+   */
+  getForest(startNodeIds, options = {}) {
+    const {
+      edgeTypes,
+      direction = 'outgoing',
+      includeData = false,
+      maxDepth = Infinity,
+      nodeFilter = null,
+      edgeFilter = null
+    } = options;
+    const types = this._normalizeEdgeTypes(edgeTypes);
     const visited = new Set();
+    const filters = { maxDepth, nodeFilter, edgeFilter };
 
-    return this._buildTreeNode(startNodeId, visited, types, direction);
+    const forest = [];
+    for (const startNodeId of startNodeIds) {
+      if (this.nodes.has(startNodeId) && !visited.has(startNodeId)) {
+        forest.push(this._buildTreeNode(startNodeId, visited, types, direction, includeData, filters, 0));
+      }
+    }
+    return forest;
   }
 
   /**
    * Recursive helper function to build a tree node with its children.
    * @private
    */
-  _buildTreeNode(nodeId, visited, edgeTypes, direction) {
+  _buildTreeNode(nodeId, visited, edgeTypes, direction, includeData, filters, depth) {
     visited.add(nodeId);
 
-    const treeNode = {
-      node: nodeId,
-      children: []
-    };
+    const treeNode = includeData
+      ? { node: nodeId, data: this.nodeData.get(nodeId), children: [] }
+      : { node: nodeId, children: [] };
+
+    // Stop expanding once the depth limit is reached
+    if (depth >= filters.maxDepth) {
+      return treeNode;
+    }
 
     const adjacencyMap = direction === 'outgoing' ? this.nodes : this.incomingEdges;
     const neighbors = adjacencyMap.get(nodeId) || new Set();
 
     for (const neighborId of neighbors) {
-      // Check if we should follow this edge based on edge type
-      const edgeId = direction === 'outgoing'
-        ? `${nodeId}->${neighborId}`
-        : `${neighborId}->${nodeId}`;
-
-      const edge = this.edges.get(edgeId);
-      if (!edge) continue;
+      // Skip if already visited (prevents cycles and duplicates)
+      if (visited.has(neighborId)) {
+        continue;
+      }
 
-      // Filter by edge type if specified
-      if (edgeTypes && !edgeTypes.includes(edge.type)) {
+      // Check if we should follow this edge based on edge type and the edge filter
+      if (!this._findTraversableEdge(nodeId, neighborId, direction, edgeTypes, filters.edgeFilter)) {
         continue;
       }
 
-      // Skip if already visited (prevents cycles and duplicates)
-      if (visited.has(neighborId)) {
+      if (filters.nodeFilter && filters.nodeFilter(neighborId, depth + 1) === false) {
         continue;
       }
 
       // Recursively build the child node
-      const childNode = this._buildTreeNode(neighborId, visited, edgeTypes, direction);
+      const childNode = this._buildTreeNode(neighborId, visited, edgeTypes, direction, includeData, filters, depth + 1);
       treeNode.children.push(childNode);
     }
 
@@ -416,8 +2743,12 @@ module.exports = class DependencyGraph {
    * Sibling nodes execute in parallel, while parent nodes complete before their children execute.
    * Each callback receives the parent's result, enabling waterfall-style async operations on tree structures.
    *
-   * @param {string} startNodeId - The ID of the node to start from.
-   * @param {Function} callback - Async function called for each node: (nodeId, parentResult, context) => result
+   * Given several start nodes, all roots run in parallel with shared visited state and the result is
+   * an array with one tree per root.
+   *
+   * @param {string|string[]} startNodeId - The ID of the node (or nodes) to start from.
+   * @param {Function} callback - Async function called for each node: (nodeId, parentResult, context) => result.
+   * The context holds {depth, path, parentNode, edgeType, edgeData, nodeData, siblings}.
    * @param {Object} [options={}] - Execution options.
    * @param {string|string[]} [options.edgeTypes] - The edge type(s) to follow. If not provided, all edges are followed.
    * @param {'outgoing'|'incoming'} [options.direction='outgoing'] - The direction to traverse.
@@ -425,11 +2756,18 @@ module.exports = class DependencyGraph {
    * @param {number|null} [options.maxConcurrency=null] - Maximum number of concurrent executions (null = unlimited).
    * @param {AbortSignal|null} [options.signal=null] - AbortSignal for cancellation support.
    * @param {Function|null} [options.onProgress=null] - Progress callback: (nodeId, result) => void
-   * @returns {Promise<Object>} - A tree structure with execution results: {node, result, error, isCircularRef, children}
+   * @param {number} [options.maxDepth=Infinity] - Do not execute children of nodes this many edges away from the start node.
+   * @param {Function} [options.nodeFilter] - Called as (nodeId, depth) before a node is executed. Returning false skips the node and its subtree.
+   * @param {Function} [options.edgeFilter] - Called as (edge, from, to) for each edge that could be followed. Returning false ignores the edge.
+   * @returns {Promise<Object|Object[]>} - A tree structure with execution results: {node, result, error, isCircularRef, children},
+   * or an array of them when several start nodes were given.
    */
   async executeOnTree(startNodeId, callback, options = {}) {
-    if (!this.nodes.has(startNodeId)) {
-      throw new Error(`Start node '${startNodeId}' does not exist.`);
+    const startNodeIds = Array.isArray(startNodeId) ? startNodeId : [startNodeId];
+    for (const nodeId of startNodeIds) {
+      if (!this.nodes.has(nodeId)) {
+        throw new Error(`Start node '${nodeId}' does not exist.`);
+      }
     }
 
     if (typeof callback !== 'function') {
@@ -442,16 +2780,20 @@ module.exports = class DependencyGraph {
       errorStrategy = 'fail-fast',
       maxConcurrency = null,
       signal = null,
-      onProgress = null
+      onProgress = null,
+      maxDepth = Infinity,
+      nodeFilter = null,
+      edgeFilter = null
     } = options;
 
-    const types = edgeTypes ? (Array.isArray(edgeTypes) ? edgeTypes : [edgeTypes]) : null;
+    const types = this._normalizeEdgeTypes(edgeTypes);
     const visited = new Set();
     const resultCache = new Map();
     const concurrencyLimiter = maxConcurrency ? this._createConcurrencyLimiter(maxConcurrency) : null;
+    const filters = { maxDepth, nodeFilter, edgeFilter };
 
-    return await this._executeTreeNode(
-      startNodeId,
+    const executeRoot = (rootId) => this._executeTreeNode(
+      rootId,
       null, // parent result
       null, // parent node
       null, // edge type
@@ -466,8 +2808,15 @@ module.exports = class DependencyGraph {
       errorStrategy,
       concurrencyLimiter,
       signal,
-      onProgress
+      onProgress,
+      filters
     );
+
+    if (!Array.isArray(startNodeId)) {
+      return await executeRoot(startNodeId);
+    }
+    // Roots run in parallel like siblings; duplicates would only be circular references
+    return await Promise.all(Array.from(new Set(startNodeIds), executeRoot));
   }
 
   /**
@@ -490,7 +2839,8 @@ module.exports = class DependencyGraph {
     errorStrategy,
     concurrencyLimiter,
     signal,
-    onProgress
+    onProgress,
+    filters
   ) {
     // Check for cancellation
     if (signal?.aborted) {
@@ -524,6 +2874,7 @@ module.exports = class DependencyGraph {
         parentNode,
         edgeType,
         edgeData,
+        nodeData: this.nodeData.get(nodeId),
         siblings: [] // Will be populated by parent when executing children
       };
 
@@ -558,8 +2909,8 @@ module.exports = class DependencyGraph {
     // Build children array
     const children = [];
 
-    // Don't process children if error occurred and strategy is 'skip-children'
-    if (!(error && errorStrategy === 'skip-children')) {
+    // Don't process children if error occurred and strategy is 'skip-children', or below the depth limit
+    if (!(error && errorStrategy === 'skip-children') && depth < filters.maxDepth) {
       const adjacencyMap = direction === 'outgoing' ? this.nodes : this.incomingEdges;
       const neighbors = adjacencyMap.get(nodeId) || new Set();
       const neighborsList = Array.from(neighbors);
@@ -571,11 +2922,20 @@ module.exports = class DependencyGraph {
           ? `${nodeId}->${neighborId}`
           : `${neighborId}->${nodeId}`;
 
-        const edge = this.edges.get(edgeId);
-        if (!edge) continue;
+        // Each edge type is a separate way of reaching the neighbor
+        const neighborEdges = [];
+        for (const edge of this.edges.get(edgeId)?.values() || []) {
+          if (edgeTypes && !edgeTypes.includes(edge.type)) {
+            continue;
+          }
+          if (filters.edgeFilter && filters.edgeFilter({ ...edge }, nodeId, neighborId) === false) {
+            continue;
+          }
+          neighborEdges.push({ neighborId, edgeType: edge.type, edgeData: edge.data });
+        }
 
-        if (!edgeTypes || edgeTypes.includes(edge.type)) {
-          validNeighbors.push({ neighborId, edgeType: edge.type, edgeData: edge.data });
+        if (neighborEdges.length > 0 && (!filters.nodeFilter || filters.nodeFilter(neighborId, depth + 1) !== false)) {
+          validNeighbors.push(...neighborEdges);
         }
       }
 
@@ -598,7 +2958,8 @@ module.exports = class DependencyGraph {
             errorStrategy,
             concurrencyLimiter,
             signal,
-            onProgress
+            onProgress,
+            filters
           )
         );
 
@@ -680,9 +3041,10 @@ module.exports = class DependencyGraph {
         mermaidString += `    ${nodeId}["${nodeId}"];\n`;
     });
 
-    for (const [edgeId, edge] of this.edges.entries()) {
-      const [from] = edgeId.split('->');
-      mermaidString += `    ${from} -- ${edge.type} --> ${edge.to};\n`;
+    for (const edgesByType of this.edges.values()) {
+      for (const edge of edgesByType.values()) {
+        mermaidString += `    ${edge.from} -- ${edge.type} --> ${edge.to};\n`;
+      }
     }
 
     return mermaidString;
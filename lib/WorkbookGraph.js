@@ -0,0 +1,409 @@
+const DependencyGraph = require('./DependencyGraph.js');
+const { tokenize } = require('excel-formula-tokenizer');
+const { extractCellsAndRanges } = require('./equationExtractCells.js');
+
+const CELL_PATTERN = /^\$?([A-Z]+)\$?(\d+)$/i;
+const COLUMN_PATTERN = /^\$?([A-Z]+)$/i;
+const ROW_PATTERN = /^\$?(\d+)$/;
+
+/**
+ * Splits a reference such as 'Sheet1!A1' or "'My Sheet'!A1" into its sheet name and the
+ * reference on that sheet. The sheet is null for unqualified references.
+ * @param {string} reference - The reference to split.
+ * @returns {{sheet: string|null, ref: string}}
+ */
+function splitSheet(reference) {
+  // Quoted sheet names may contain '!' themselves
+  const index = reference.startsWith("'") ? reference.indexOf("'!", 1) + 1 : reference.indexOf('!');
+  if (index <= 0) {
+    return { sheet: null, ref: reference };
+  }
+  let sheet = reference.slice(0, index);
+  if (sheet.startsWith("'")) {
+    sheet = sheet.slice(1, -1).replace(/''/g, "'");
+  }
+  return { sheet, ref: reference.slice(index + 1) };
+}
+
+/**
+ * Converts column letters to a 1-based column number ('A' is 1, 'AA' is 27).
+ * @param {string} letters - The column letters.
+ * @returns {number}
+ */
+function columnNumber(letters) {
+  let number = 0;
+  for (const letter of letters.toUpperCase()) {
+    number = number * 26 + letter.charCodeAt(0) - 64;
+  }
+  return number;
+}
+
+/**
+ * Parses one side of a range: a cell ('A1'), a whole column ('A') or a whole row ('1').
+ * Absolute markers are ignored.
+ * @param {string} ref - The reference, without a sheet.
+ * @returns {{column: number|null, row: number|null, text: string}|null} - The parsed bound, where a null column or row
+ * means the whole row or column, and `text` the normalized reference. Null if the reference is invalid.
+ */
+function parseBound(ref) {
+  let match = CELL_PATTERN.exec(ref);
+  if (match) {
+    return { column: columnNumber(match[1]), row: Number(match[2]), text: `${match[1].toUpperCase()}${match[2]}` };
+  }
+  match = COLUMN_PATTERN.exec(ref);
+  if (match) {
+    return { column: columnNumber(match[1]), row: null, text: match[1].toUpperCase() };
+  }
+  match = ROW_PATTERN.exec(ref);
+  if (match) {
+    return { column: null, row: Number(match[1]), text: match[1] };
+  }
+  return null;
+}
+
+/**
+ * Lists the references a formula uses on their own, outside of any range.
+ * @param {string} formula - The formula, starting with '='.
+ * @returns {Set<string>} - The references as written, e.g. 'B2' or 'Sheet2!$C$1'.
+ */
+function standaloneCells(formula) {
+  const operands = tokenize(formula).filter(token => token.type === 'operand' && token.subtype === 'range');
+  return new Set(operands.map(token => token.value).filter(value => !value.includes(':')));
+}
+
+/**
+ * Orders two optional bounds into a [start, end] pair, or null when the dimension is unbounded.
+ * @param {number|null} a - The first bound.
+ * @param {number|null} b - The second bound.
+ * @returns {number[]|null}
+ */
+function toSpan(a, b) {
+  return a === null || b === null ? null : [Math.min(a, b), Math.max(a, b)];
+}
+
+/**
+ * A DependencyGraph of spreadsheet cells, built from their formulas. Each formula is parsed
+ * with extractCellsAndRanges and linked to the cells and ranges it references with 'formula'
+ * edges from the formula cell to each of them.
+ *
+ * Node IDs are sheet-qualified: 'Sheet1!A1' for cells and 'Sheet1!A1:B5' for ranges, without
+ * absolute markers and with column letters in upper case. Ranges are nodes of their own, with
+ * 'range' edges to every cell of the graph that lies inside them.
+ *
+ * Edges thus point from a node to the nodes it depends on, the reverse of DependencyGraph's
+ * default. getDependents, getDependencies and getRecalcPlan account for this, so that
+ * getDependents(cell) still lists the cells to recalculate when it changes.
+ */
+class WorkbookGraph extends DependencyGraph {
+  /**
+   * Creates a new, empty workbook graph.
+   * @param {Object} [options={}] - Same options as DependencyGraph, plus:
+   * @param {string} [options.defaultSheet='Sheet1'] - The sheet of references given without one.
+   */
+  constructor(options = {}) {
+    super(options);
+
+    /**
+     * @type {string}
+     * The sheet of references given without one.
+     */
+    this.defaultSheet = options.defaultSheet ?? 'Sheet1';
+
+    /**
+     * @private
+     * @type {Map<string, Set<string>>}
+     * The range node IDs on each sheet. Entries whose node has since been removed are dropped
+     * when they are next looked at.
+     */
+    this._rangesBySheet = new Map();
+  }
+
+  /**
+   * Adds a node to the graph and links it to the ranges it belongs to. A new cell gets a 'range'
+   * edge from every range of its sheet that contains it, and a new range (a node with `range` data)
+   * gets one to every cell of the graph inside it. This also applies to nodes created by addEdge.
+   * @param {string} nodeId - A unique identifier for the node.
+   * @param {any} [data={}] - Optional data to store with the node.
+   * @returns {boolean} - True if the node was added, false if it already exists.
+   */
+  addNode(nodeId, data = {}) {
+    // Batch so that the node is reported together with its 'range' edges
+    return this.batch(() => {
+      if (!super.addNode(nodeId, data)) {
+        return false;
+      }
+      const range = data?.range;
+      // Range nodes re-added by undo or a rollback are indexed again here
+      if (range) {
+        this._indexRange(nodeId, range);
+      }
+      // Undo, redo and rollbacks restore the recorded 'range' edges themselves
+      if (!this._replaying && !this._silent) {
+        if (range) {
+          this._linkRangeMembers(nodeId, range);
+        } else {
+          this._linkToRanges(nodeId);
+        }
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Serializes the graph state to a JSON string, including the default sheet.
+   * @returns {string} - A JSON string representing the graph.
+   */
+  serialize() {
+    return JSON.stringify({ ...JSON.parse(super.serialize()), defaultSheet: this.defaultSheet }, null, 2);
+  }
+
+  /**
+   * Deserializes a JSON string into a new WorkbookGraph instance, restoring its default sheet
+   * and its ranges, so that cells added later are linked to them.
+   * @param {string} jsonString - The JSON string representing the graph.
+   * @returns {WorkbookGraph} - A new WorkbookGraph instance.
+   */
+  static deserialize(jsonString) {
+    const graph = super.deserialize(jsonString);
+    const { defaultSheet } = JSON.parse(jsonString);
+    if (defaultSheet !== undefined) {
+      graph.defaultSheet = defaultSheet;
+    }
+    for (const [nodeId, data] of graph.nodeData) {
+      if (data?.range) {
+        graph._indexRange(nodeId, data.range);
+      }
+    }
+    return graph;
+  }
+
+  /**
+   * Resolves a cell or range reference to its node ID, qualifying it with a sheet if needed.
+   * @param {string} reference - The reference, e.g. 'A1', '$B$2', 'Sheet2!C3' or 'A1:B5'.
+   * @param {Object} [options={}] - Resolution options.
+   * @param {string} [options.sheet] - The sheet of an unqualified reference. Defaults to the graph's default sheet.
+   * @returns {string} - The node ID, e.g. 'Sheet1!A1' or 'Sheet1!A1:B5'.
+   * @throws {Error} If the reference is not a valid cell or range reference.
+   */
+  resolveReference(reference, options = {}) {
+    const parsed = this._parseReference(reference, options.sheet ?? this.defaultSheet);
+    if (!parsed) {
+      throw new Error(`Invalid cell reference '${reference}'.`);
+    }
+    return parsed.nodeId;
+  }
+
+  /**
+   * Sets the formula of a cell and rebuilds its references, as 'formula' edges from the cell to
+   * each referenced cell and range. References the new formula no longer uses are removed
+   * before the new ones are added, along with any range no formula refers to anymore. Values that are not strings starting with '=' are stored without
+   * references, which also clears the references of a previous formula. Names that are not cell
+   * or range references, such as defined names or table references, are ignored. Runs as a transaction:
+   * if an edge is rejected (e.g. by the `acyclic` option), the graph is left unchanged.
+   * @param {string} cellId - The cell, e.g. 'B1' or 'Sheet2!B1'.
+   * @param {any} formula - The formula, e.g. '=SUM(A1:A3) + Sheet2!C1'. Stored as the cell's `formula` data.
+   * @param {Object} [options={}] - Options.
+   * @param {string} [options.sheet] - The sheet owning the cell, used for it and all unqualified references in the formula.
+   * Defaults to the graph's default sheet.
+   * @returns {string[]} - The node IDs of the cells and ranges the formula references.
+   * @throws {Error} If the cell ID is not a valid cell reference.
+   */
+  setFormula(cellId, formula, options = {}) {
+    const sheet = options.sheet ?? this.defaultSheet;
+    const target = this._parseReference(cellId, sheet);
+    if (!target || target.range) {
+      throw new Error(`Invalid cell reference '${cellId}'.`);
+    }
+
+    const { cells, ranges } = typeof formula === 'string' && formula.startsWith('=')
+      ? extractCellsAndRanges(formula)
+      : { cells: [], ranges: [] };
+    // Range endpoints are reported as cells too; only cells the formula also uses on their own are references
+    const standalone = cells.length > 0 ? standaloneCells(formula) : null;
+    const references = new Map();
+    for (const reference of [...cells.filter(cell => standalone.has(cell)), ...ranges]) {
+      const parsed = this._parseReference(reference, sheet);
+      if (parsed) {
+        references.set(parsed.nodeId, parsed);
+      }
+    }
+
+    this.transaction(() => {
+      if (!this.addNode(target.nodeId, { formula })) {
+        this.updateNodeData(target.nodeId, { formula });
+      }
+
+      for (const edge of this.getOutgoingEdges(target.nodeId, { edgeTypes: 'formula' })) {
+        if (!references.has(edge.to)) {
+          this.removeEdge(target.nodeId, edge.to, 'formula');
+          this._removeUnusedRange(edge.to);
+        }
+      }
+
+      for (const [referenceId, parsed] of references) {
+        if (parsed.range) {
+          this.addNode(referenceId, { range: parsed.range });
+        }
+        if (!this.hasEdge(target.nodeId, referenceId, 'formula')) {
+          this.addEdge(target.nodeId, referenceId, 'formula');
+        }
+      }
+    });
+
+    return Array.from(references.keys());
+  }
+
+  /**
+   * Gets the nodes that depend on a given node: the formulas that read it, directly or through
+   * other cells and ranges. Follows edges backwards, since they point to dependencies.
+   * @param {string|string[]} nodeId - The ID of the node (or nodes).
+   * @param {Object} [options={}] - Traversal options, same as traverse. The start node(s) are never included.
+   * @returns {string[]|Object[]} - An array of dependent node IDs, or records if `options.records` is set.
+   */
+  getDependents(nodeId, options = {}) {
+    return super.getDependencies(nodeId, options);
+  }
+
+  /**
+   * Gets the nodes that a given node depends on: the cells and ranges its formula reads, directly
+   * or through other cells and ranges. Follows edges forwards, since they point to dependencies.
+   * @param {string|string[]} nodeId - The ID of the node (or nodes).
+   * @param {Object} [options={}] - Traversal options, same as traverse. The start node(s) are never included.
+   * @returns {string[]|Object[]} - An array of dependency node IDs, or records if `options.records` is set.
+   */
+  getDependencies(nodeId, options = {}) {
+    return super.getDependents(nodeId, options);
+  }
+
+  /**
+   * Plans the recalculation of everything affected by the dirty cells, as in DependencyGraph.
+   * The direction defaults to 'incoming', since edges point to dependencies.
+   * @param {Object} [options={}] - Planning options, same as DependencyGraph's getRecalcPlan.
+   * @returns {Array<{nodeId: string}|{cycle: string[]}>} - The steps of the plan, each after every step it depends on.
+   */
+  getRecalcPlan(options = {}) {
+    return super.getRecalcPlan({ direction: 'incoming', ...options });
+  }
+
+  /**
+   * Gets the formula of a cell.
+   * @param {string} cellId - The cell, e.g. 'B1' or 'Sheet2!B1'.
+   * @param {Object} [options={}] - Options.
+   * @param {string} [options.sheet] - The sheet of an unqualified cell ID. Defaults to the graph's default sheet.
+   * @returns {any} - The formula, or undefined if the cell has none.
+   */
+  getFormula(cellId, options = {}) {
+    const nodeId = this.resolveReference(cellId, options);
+    return this.getNodeData(nodeId)?.formula;
+  }
+
+  /**
+   * Adds a range node to the index of its sheet's ranges.
+   * @private
+   */
+  _indexRange(rangeId, range) {
+    if (!this._rangesBySheet.has(range.sheet)) {
+      this._rangesBySheet.set(range.sheet, new Set());
+    }
+    this._rangesBySheet.get(range.sheet).add(rangeId);
+  }
+
+  /**
+   * Parses a cell or range reference and qualifies it with a sheet.
+   * @private
+   * @returns {{nodeId: string, cell: {sheet: string, column: number, row: number}|null, range: Object|null}|null} -
+   * The parsed reference, or null if it is not a valid cell or range reference.
+   */
+  _parseReference(reference, defaultSheet) {
+    const { sheet, ref } = splitSheet(String(reference));
+    const owner = sheet ?? defaultSheet;
+    const [left, right, ...rest] = ref.split(':');
+
+    if (right === undefined) {
+      const bound = parseBound(left);
+      if (bound && bound.column !== null && bound.row !== null) {
+        return { nodeId: `${owner}!${bound.text}`, cell: { sheet: owner, column: bound.column, row: bound.row }, range: null };
+      }
+    } else if (rest.length === 0) {
+      const start = parseBound(left);
+      // The end of a range may repeat the sheet, as in 'Sheet1!A1:Sheet1!B2'
+      const end = parseBound(splitSheet(right).ref);
+      const valid = start && end
+        && (start.column === null) === (end.column === null)
+        && (start.row === null) === (end.row === null);
+      if (valid) {
+        return {
+          nodeId: `${owner}!${start.text}:${end.text}`,
+          cell: null,
+          range: { sheet: owner, columns: toSpan(start.column, end.column), rows: toSpan(start.row, end.row) }
+        };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Parses a node ID as a cell, or returns null for ranges and other nodes.
+   * @private
+   */
+  _parseCellNode(nodeId) {
+    return this._parseReference(nodeId, null)?.cell ?? null;
+  }
+
+  /**
+   * Whether a range contains a cell.
+   * @private
+   */
+  _rangeContains(range, cell) {
+    return range.sheet === cell.sheet
+      && (!range.columns || (cell.column >= range.columns[0] && cell.column <= range.columns[1]))
+      && (!range.rows || (cell.row >= range.rows[0] && cell.row <= range.rows[1]));
+  }
+
+  /**
+   * Links a new range to every cell of the graph that lies inside it.
+   * @private
+   */
+  _linkRangeMembers(rangeId, range) {
+    for (const nodeId of Array.from(this.nodes.keys())) {
+      const cell = this._parseCellNode(nodeId);
+      if (cell && this._rangeContains(range, cell)) {
+        this.addEdge(rangeId, nodeId, 'range');
+      }
+    }
+  }
+
+  /**
+   * Links every range of its sheet that contains a new cell to it. Other nodes are ignored.
+   * @private
+   */
+  _linkToRanges(cellId) {
+    const cell = this._parseCellNode(cellId);
+    const rangeIds = cell && this._rangesBySheet.get(cell.sheet);
+    if (!rangeIds) {
+      return;
+    }
+    for (const rangeId of rangeIds) {
+      const range = this.getNodeData(rangeId)?.range;
+      if (!range) {
+        rangeIds.delete(rangeId);
+      } else if (this._rangeContains(range, cell) && !this.hasEdge(rangeId, cellId, 'range')) {
+        this.addEdge(rangeId, cellId, 'range');
+      }
+    }
+  }
+
+  /**
+   * Removes a range node once no formula refers to it anymore.
+   * @private
+   */
+  _removeUnusedRange(nodeId) {
+    const range = this.getNodeData(nodeId)?.range;
+    if (range && this.inDegree(nodeId, { edgeTypes: 'formula' }) === 0) {
+      this.removeNode(nodeId);
+      this._rangesBySheet.get(range.sheet)?.delete(nodeId);
+    }
+  }
+}
+
+module.exports = WorkbookGraph;
@@ -0,0 +1,25 @@
+/**
+ * @class CircularDependencyError
+ * @extends Error
+ * @description Thrown when an operation requires the graph (or the part of it selected
+ * by an edge type filter) to be acyclic, but a circular dependency was found.
+ */
+class CircularDependencyError extends Error {
+  /**
+   * @constructor
+   * @param {string[]} cycle - The cycle path, starting and ending with the same node ID.
+   * @param {string} [message] - Optional error message. Defaults to a description of the cycle.
+   */
+  constructor(cycle, message) {
+    super(message || `Circular dependency detected: ${cycle.join(' -> ')}`);
+    this.name = 'CircularDependencyError';
+
+    /**
+     * @type {string[]}
+     * The offending cycle path, e.g. ['A', 'B', 'A'].
+     */
+    this.cycle = cycle;
+  }
+}
+
+module.exports = { CircularDependencyError };
@@ -1,7 +1,11 @@
 const DependencyGraph = require('./DependencyGraph.js');
+const WorkbookGraph = require('./WorkbookGraph.js');
 const { extractCellsAndRanges } = require('./equationExtractCells.js');
+const { CircularDependencyError } = require('./errors.js');
 
 module.exports = {
   DependencyGraph,
+  WorkbookGraph,
   extractCellsAndRanges,
+  CircularDependencyError,
 };
@@ -1,4 +1,5 @@
 const DependencyGraph = require('../lib/DependencyGraph.js');
+const { CircularDependencyError } = require('../lib/errors.js');
 
 describe('DependencyGraph', () => {
   describe('Initialization', () => {
@@ -43,6 +44,265 @@ describe('DependencyGraph', () => {
     });
   });
 
+  describe('Edge Queries', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula', { ref: 'B1' });
+      graph.addEdge('A', 'B', 'format', { rule: 'bold' });
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('D', 'A', 'link');
+    });
+
+    test('should check whether an edge exists', () => {
+      expect(graph.hasEdge('A', 'B')).toBe(true);
+      expect(graph.hasEdge('A', 'B', 'format')).toBe(true);
+      expect(graph.hasEdge('A', 'B', 'link')).toBe(false);
+      expect(graph.hasEdge('B', 'A')).toBe(false);
+      expect(graph.hasEdge('X', 'Y')).toBe(false);
+    });
+
+    test('should read an edge back', () => {
+      expect(graph.getEdge('A', 'B', 'format')).toEqual({ from: 'A', to: 'B', type: 'format', data: { rule: 'bold' } });
+      expect(graph.getEdge('A', 'B')).toEqual({ from: 'A', to: 'B', type: 'formula', data: { ref: 'B1' } });
+      expect(graph.getEdge('A', 'B', 'link')).toBeNull();
+      expect(graph.getEdge('B', 'A')).toBeNull();
+    });
+
+    test('should not let callers change the stored edge through the result', () => {
+      const edge = graph.getEdge('A', 'B', 'formula');
+      edge.type = 'changed';
+      expect(graph.hasEdge('A', 'B', 'formula')).toBe(true);
+      expect(graph.getEdge('A', 'B', 'formula').type).toBe('formula');
+    });
+
+    test('should list outgoing and incoming edges', () => {
+      expect(graph.getOutgoingEdges('A').map(edge => `${edge.to}:${edge.type}`)).toEqual(['B:formula', 'B:format', 'C:formula']);
+      expect(graph.getOutgoingEdges('A', { edgeTypes: 'formula' }).map(edge => edge.to)).toEqual(['B', 'C']);
+      expect(graph.getIncomingEdges('A')).toEqual([{ from: 'D', to: 'A', type: 'link', data: {} }]);
+      expect(graph.getIncomingEdges('B', { edgeTypes: ['format'] }).map(edge => edge.type)).toEqual(['format']);
+      expect(graph.getOutgoingEdges('missing')).toEqual([]);
+    });
+
+    test('should list edges by type', () => {
+      expect(graph.getEdgesByType('formula').map(edge => `${edge.from}->${edge.to}`)).toEqual(['A->B', 'A->C']);
+      expect(graph.getEdgesByType(['format', 'link'])).toHaveLength(2);
+      expect(graph.getEdgesByType('unknown')).toEqual([]);
+    });
+
+    test('should update edge data', () => {
+      expect(graph.updateEdgeData('A', 'B', { ref: 'B2', absolute: true }, 'formula')).toBe(true);
+      expect(graph.getEdge('A', 'B', 'formula').data).toEqual({ ref: 'B2', absolute: true });
+      expect(graph.getEdge('A', 'B', 'format').data).toEqual({ rule: 'bold' });
+
+      expect(graph.updateEdgeData('A', 'B', { checked: true })).toBe(true);
+      expect(graph.getEdge('A', 'B', 'formula').data.checked).toBe(true);
+      expect(graph.getEdge('A', 'B', 'format').data.checked).toBe(true);
+
+      expect(graph.updateEdgeData('A', 'B', {}, 'link')).toBe(false);
+      expect(graph.updateEdgeData('B', 'A', {})).toBe(false);
+    });
+  });
+
+  describe('Parallel Edges', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula', { ref: 'B1' });
+      graph.addEdge('A', 'B', 'format', { rule: 'highlight' });
+    });
+
+    test('should keep edges of different types between the same nodes', () => {
+      expect(graph.edges.get('A->B').size).toBe(2);
+      expect(graph.edges.get('A->B').get('formula').data).toEqual({ ref: 'B1' });
+      expect(graph.edges.get('A->B').get('format').data).toEqual({ rule: 'highlight' });
+    });
+
+    test('should replace the data of an edge added again with the same type', () => {
+      graph.addEdge('A', 'B', 'formula', { ref: 'B2' });
+      expect(graph.edges.get('A->B').size).toBe(2);
+      expect(graph.edges.get('A->B').get('formula').data).toEqual({ ref: 'B2' });
+    });
+
+    test('should remove a single edge type and keep the nodes linked by the others', () => {
+      expect(graph.removeEdge('A', 'B', 'formula')).toBe(true);
+      expect(graph.removeEdge('A', 'B', 'formula')).toBe(false);
+      expect(graph.getDependents('A')).toEqual(['B']);
+      expect(graph.getDependents('A', { edgeTypes: 'formula' })).toEqual([]);
+
+      expect(graph.removeEdge('A', 'B', 'format')).toBe(true);
+      expect(graph.edges.has('A->B')).toBe(false);
+      expect(graph.nodes.get('A').has('B')).toBe(false);
+      expect(graph.incomingEdges.get('B').has('A')).toBe(false);
+    });
+
+    test('should remove all edge types when no type is given', () => {
+      expect(graph.removeEdge('A', 'B')).toBe(true);
+      expect(graph.edges.size).toBe(0);
+      expect(graph.getDependents('A')).toEqual([]);
+    });
+
+    test('should follow each type when traversing and building trees', () => {
+      graph.addEdge('B', 'C', 'format');
+      expect(graph.traverse('A', { edgeTypes: 'formula' })).toEqual(['A', 'B']);
+      expect(graph.traverse('A', { edgeTypes: 'format' })).toEqual(['A', 'B', 'C']);
+      expect(graph.getTree('A', { edgeTypes: 'format' })).toEqual({
+        node: 'A',
+        children: [{ node: 'B', children: [{ node: 'C', children: [] }] }]
+      });
+    });
+
+    test('should detect cycles through any matching edge type', () => {
+      graph.addEdge('B', 'A', 'format');
+      expect(graph.hasCircularDependency({ edgeTypes: 'formula' })).toBe(false);
+      expect(graph.hasCircularDependency({ edgeTypes: 'format' })).toBe(true);
+      expect(graph.findCircularDependency({ edgeTypes: 'format' })).toEqual(['A', 'B', 'A']);
+    });
+
+    test('should execute once per edge type reaching a node', async () => {
+      const visits = [];
+      await graph.executeOnTree('A', async (nodeId, parentResult, context) => {
+        visits.push(`${nodeId}:${context.edgeType}`);
+      });
+      expect(visits.sort()).toEqual(['A:null', 'B:format', 'B:formula']);
+    });
+
+    test('should preserve every parallel edge through serialization', () => {
+      const restored = DependencyGraph.deserialize(graph.serialize());
+      expect(restored.edges.get('A->B').size).toBe(2);
+      expect(restored.edges.get('A->B').get('format').data).toEqual({ rule: 'highlight' });
+      expect(restored.toMermaid()).toBe(graph.toMermaid());
+    });
+
+    test('should deserialize graphs serialized with one edge per pair', () => {
+      const legacy = JSON.stringify({
+        nodes: [['A', ['B']], ['B', []]],
+        incomingEdges: [['A', []], ['B', ['A']]],
+        edges: [['A->B', { to: 'B', type: 'formula', data: { weight: 1 } }]]
+      });
+      const restored = DependencyGraph.deserialize(legacy);
+      expect(restored.edges.get('A->B').get('formula')).toEqual({
+        from: 'A', to: 'B', type: 'formula', data: { weight: 1 }
+      });
+    });
+
+    test('should draw every parallel edge in Mermaid output', () => {
+      const mermaidString = graph.toMermaid();
+      expect(mermaidString).toContain('A -- formula --> B;');
+      expect(mermaidString).toContain('A -- format --> B;');
+    });
+  });
+
+  describe('Node Data', () => {
+    test('should store data passed to addNode', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A1', { value: 42, formula: null });
+      expect(graph.getNodeData('A1')).toEqual({ value: 42, formula: null });
+    });
+
+    test('should default node data to an empty object, including nodes created by addEdge', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      expect(graph.getNodeData('A')).toEqual({});
+      expect(graph.getNodeData('B')).toEqual({});
+      expect(graph.getNodeData('missing')).toBeUndefined();
+    });
+
+    test('should not overwrite data when adding an existing node', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A', { value: 1 });
+      expect(graph.addNode('A', { value: 2 })).toBe(false);
+      expect(graph.getNodeData('A')).toEqual({ value: 1 });
+    });
+
+    test('should set and update node data', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A', { value: 1, format: 'bold' });
+
+      expect(graph.updateNodeData('A', { value: 2 })).toBe(true);
+      expect(graph.getNodeData('A')).toEqual({ value: 2, format: 'bold' });
+
+      expect(graph.setNodeData('A', { value: 3 })).toBe(true);
+      expect(graph.getNodeData('A')).toEqual({ value: 3 });
+
+      expect(graph.setNodeData('missing', {})).toBe(false);
+      expect(graph.updateNodeData('missing', {})).toBe(false);
+      expect(graph.hasNode('missing')).toBe(false);
+    });
+
+    test('should drop node data when the node is removed', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A', { value: 1 });
+      graph.removeNode('A');
+      expect(graph.getNodeData('A')).toBeUndefined();
+      graph.addNode('A');
+      expect(graph.getNodeData('A')).toEqual({});
+    });
+
+    test('should preserve node data through serialization', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A', { value: 1 });
+      graph.addEdge('A', 'B', 'formula');
+
+      const restored = DependencyGraph.deserialize(graph.serialize());
+      expect(restored.getNodeData('A')).toEqual({ value: 1 });
+      expect(restored.getNodeData('B')).toEqual({});
+    });
+
+    test('should deserialize graphs serialized without node data', () => {
+      const legacy = JSON.stringify({
+        nodes: [['A', ['B']], ['B', []]],
+        incomingEdges: [['A', []], ['B', ['A']]],
+        edges: [['A->B', { to: 'B', type: 'formula', data: {} }]]
+      });
+      const restored = DependencyGraph.deserialize(legacy);
+      expect(restored.getNodeData('A')).toEqual({});
+      expect(restored.getDependents('A')).toEqual(['B']);
+    });
+
+    test('should include node data in trees when requested', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A', { value: 1 });
+      graph.addNode('B', { value: 2 });
+      graph.addEdge('A', 'B', 'link');
+
+      expect(graph.getTree('A', { includeData: true })).toEqual({
+        node: 'A',
+        data: { value: 1 },
+        children: [{ node: 'B', data: { value: 2 }, children: [] }]
+      });
+      expect(graph.getTree('A')).toEqual({
+        node: 'A',
+        children: [{ node: 'B', children: [] }]
+      });
+    });
+
+    test('should pass node data to executeOnTree callbacks', async () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A', { value: 10 });
+      graph.addNode('B', { value: 5 });
+      graph.addEdge('A', 'B', 'calc');
+
+      const tree = await graph.executeOnTree('A', async (nodeId, parentResult, context) => {
+        return (parentResult || 0) + context.nodeData.value;
+      });
+      expect(tree.children[0].result).toBe(15);
+    });
+
+    test('should record component members on condensed super-nodes', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'A', 'link');
+      graph.addEdge('B', 'C', 'link');
+
+      const condensed = graph.condense();
+      expect(condensed.getNodeData('A')).toEqual({ members: ['A', 'B'] });
+      expect(condensed.getNodeData('C')).toEqual({ members: ['C'] });
+    });
+  });
+
   describe('Edge Management', () => {
     test('should add an edge and create nodes if they do not exist', () => {
       const graph = new DependencyGraph();
@@ -54,176 +314,1855 @@ describe('DependencyGraph', () => {
       expect(graph.incomingEdges.get('B').has('A')).toBe(true);
     });
 
-    test('should remove an existing edge', () => {
-      const graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'equational');
-      expect(graph.removeEdge('A', 'B')).toBe(true);
-      expect(graph.edges.size).toBe(0);
-      expect(graph.nodes.get('A').has('B')).toBe(false);
-      expect(graph.incomingEdges.get('B').has('A')).toBe(false);
+    test('should remove an existing edge', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'equational');
+      expect(graph.removeEdge('A', 'B')).toBe(true);
+      expect(graph.edges.size).toBe(0);
+      expect(graph.nodes.get('A').has('B')).toBe(false);
+      expect(graph.incomingEdges.get('B').has('A')).toBe(false);
+    });
+    
+    test('should not remove a non-existent edge', () => {
+      const graph = new DependencyGraph();
+      graph.addNode('A');
+      graph.addNode('B');
+      expect(graph.removeEdge('A', 'B')).toBe(false);
+    });
+
+    test('should add an edge with data', () => {
+      const graph = new DependencyGraph();
+      const data = { weight: 5 };
+      graph.addEdge('A', 'B', 'equational', data);
+      expect(graph.edges.get('A->B').get('equational').data).toEqual(data);
+    });
+  });
+
+  describe('Acyclic Mode', () => {
+    test('should reject an edge that would close a cycle and report the cycle', () => {
+      const graph = new DependencyGraph({ acyclic: true });
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+
+      let caught;
+      try {
+        graph.addEdge('C', 'A', 'formula');
+      } catch (error) {
+        caught = error;
+      }
+      expect(caught).toBeInstanceOf(CircularDependencyError);
+      expect(caught.cycle).toEqual(['C', 'A', 'B', 'C']);
+      expect(graph.edges.has('C->A')).toBe(false);
+      expect(graph.hasCircularDependency()).toBe(false);
+    });
+
+    test('should reject self-referencing edges without creating the node', () => {
+      const graph = new DependencyGraph({ acyclic: true });
+      expect(() => graph.addEdge('A', 'A', 'formula')).toThrow(CircularDependencyError);
+      expect(graph.hasNode('A')).toBe(false);
+    });
+
+    test('should accept edges that only look backwards in insertion order', () => {
+      const graph = new DependencyGraph({ acyclic: true });
+      graph.addNode('C');
+      graph.addNode('B');
+      graph.addNode('A');
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      expect(graph.edges.size).toBe(3);
+      expect(() => graph.addEdge('C', 'A', 'formula')).toThrow(CircularDependencyError);
+    });
+
+    test('should only guard the configured edge types', () => {
+      const graph = new DependencyGraph({ acyclic: 'formula' });
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'A', 'format');
+      expect(graph.hasCircularDependency()).toBe(true);
+      expect(() => graph.addEdge('B', 'A', 'formula')).toThrow(CircularDependencyError);
+    });
+
+    test('should allow an edge again once the path closing the cycle is removed', () => {
+      const graph = new DependencyGraph({ acyclic: true });
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      expect(() => graph.addEdge('C', 'A', 'formula')).toThrow(CircularDependencyError);
+
+      graph.removeEdge('B', 'C');
+      graph.addEdge('C', 'A', 'formula');
+      expect(graph.hasCircularDependency()).toBe(false);
+
+      graph.removeNode('A');
+      graph.addEdge('B', 'C', 'formula');
+      expect(graph.hasCircularDependency()).toBe(false);
+    });
+
+    test('should keep a valid order when edges arrive in reverse order', () => {
+      const graph = new DependencyGraph({ acyclic: true });
+      for (let i = 0; i < 200; i++) {
+        graph.addNode(`n${i}`);
+      }
+      for (let i = 199; i > 0; i--) {
+        graph.addEdge(`n${i}`, `n${i - 1}`, 'formula');
+      }
+      expect(() => graph.addEdge('n0', 'n199', 'formula')).toThrow(CircularDependencyError);
+      expect(() => graph.addEdge('n199', 'n0', 'formula')).not.toThrow();
+    });
+  });
+
+  describe('Change Events', () => {
+    let graph;
+    let changes;
+
+    beforeEach(() => {
+      graph = new DependencyGraph();
+      changes = [];
+      graph.on('change', batch => changes.push(batch));
+    });
+
+    test('should report nodes created by addEdge together with the edge', () => {
+      graph.addEdge('A', 'B', 'formula', { ref: 'B1' });
+      expect(changes).toEqual([[
+        { type: 'nodeAdded', nodeId: 'A', data: {} },
+        { type: 'nodeAdded', nodeId: 'B', data: {} },
+        { type: 'edgeAdded', edge: { from: 'A', to: 'B', type: 'formula', data: { ref: 'B1' } } }
+      ]]);
+    });
+
+    test('should report an edge added again with the same type as updated', () => {
+      graph.addEdge('A', 'B', 'formula', { ref: 'B1' });
+      graph.addEdge('A', 'B', 'formula', { ref: 'B2' });
+      expect(changes[1]).toEqual([
+        { type: 'edgeUpdated', edge: { from: 'A', to: 'B', type: 'formula', data: { ref: 'B2' } }, previousData: { ref: 'B1' } }
+      ]);
+    });
+
+    test('should report every edge dropped by removeNode', () => {
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('A', 'B', 'format');
+      graph.addEdge('C', 'A', 'formula');
+      graph.addNode('A');
+      changes = [];
+
+      graph.removeNode('A');
+      expect(changes).toHaveLength(1);
+      expect(changes[0].map(change => change.type)).toEqual(['edgeRemoved', 'edgeRemoved', 'edgeRemoved', 'nodeRemoved']);
+      expect(changes[0][3]).toEqual({ type: 'nodeRemoved', nodeId: 'A', data: {} });
+    });
+
+    test('should report removed edges and data updates', () => {
+      graph.addNode('A', { value: 1 });
+      graph.addEdge('A', 'B', 'formula', { ref: 'B1' });
+      graph.addEdge('A', 'B', 'format');
+      changes = [];
+
+      graph.removeEdge('A', 'B', 'format');
+      graph.updateEdgeData('A', 'B', { absolute: true });
+      graph.updateNodeData('A', { value: 2 });
+      graph.removeEdge('A', 'B');
+
+      expect(changes).toEqual([
+        [{ type: 'edgeRemoved', edge: { from: 'A', to: 'B', type: 'format', data: {} } }],
+        [{ type: 'edgeUpdated', edge: { from: 'A', to: 'B', type: 'formula', data: { ref: 'B1', absolute: true } }, previousData: { ref: 'B1' } }],
+        [{ type: 'nodeUpdated', nodeId: 'A', data: { value: 2 }, previousData: { value: 1 } }],
+        [{ type: 'edgeRemoved', edge: { from: 'A', to: 'B', type: 'formula', data: { ref: 'B1', absolute: true } } }]
+      ]);
+    });
+
+    test('should not report mutations that change nothing', () => {
+      graph.addNode('A');
+      changes = [];
+      graph.addNode('A');
+      graph.removeNode('missing');
+      graph.removeEdge('A', 'missing');
+      expect(changes).toEqual([]);
+    });
+
+    test('should deliver individual events to type-specific listeners', () => {
+      const added = [];
+      graph.on('edgeAdded', change => added.push(change.edge.to));
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      graph.addNode('D');
+      expect(added).toEqual(['B', 'C']);
+    });
+
+    test('should deliver a batch as a single notification', () => {
+      const result = graph.batch(g => {
+        g.addEdge('A', 'B', 'formula');
+        g.addEdge('B', 'C', 'formula');
+        expect(changes).toEqual([]);
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toHaveLength(5);
+    });
+
+    test('should stop notifying after unsubscribing', () => {
+      const seen = [];
+      const listener = change => seen.push(change.nodeId);
+      const unsubscribe = graph.on('nodeAdded', listener);
+      graph.addNode('A');
+      unsubscribe();
+      graph.addNode('B');
+      expect(seen).toEqual(['A']);
+      expect(graph.off('nodeAdded', listener)).toBe(false);
+    });
+
+    test('should reject unknown events and invalid listeners', () => {
+      expect(() => graph.on('nodeChanged', () => {})).toThrow("Unknown event 'nodeChanged'.");
+      expect(() => graph.on('nodeAdded', null)).toThrow('Listener must be a function.');
+    });
+  });
+
+  describe('Transactions', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new DependencyGraph();
+      graph.addNode('A', { value: 1 });
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.addEdge('B', 'C', 'formula');
+    });
+
+    const snapshot = (g) => ({
+      nodes: Array.from(g.nodes.keys()).sort(),
+      edges: Array.from(g.nodes.keys()).flatMap(nodeId => g.getOutgoingEdges(nodeId)),
+      data: Array.from(g.nodes.keys()).sort().map(nodeId => g.getNodeData(nodeId))
+    });
+
+    test('should commit all changes when fn succeeds', () => {
+      const result = graph.transaction(g => {
+        g.addEdge('C', 'D', 'formula');
+        g.removeNode('A');
+        return 'ok';
+      });
+      expect(result).toBe('ok');
+      expect(graph.hasNode('A')).toBe(false);
+      expect(graph.hasEdge('C', 'D', 'formula')).toBe(true);
+    });
+
+    test('should restore the prior state when fn throws', () => {
+      const before = snapshot(graph);
+      expect(() => graph.transaction(g => {
+        g.addEdge('C', 'D', 'formula');
+        g.addEdge('A', 'B', 'formula', { ref: 'changed' });
+        g.updateEdgeData('B', 'C', { checked: true });
+        g.updateNodeData('A', { value: 2 });
+        g.removeEdge('A', 'B');
+        g.removeNode('B');
+        throw new Error('paste failed');
+      })).toThrow('paste failed');
+
+      expect(snapshot(graph)).toEqual(before);
+      expect(graph.getDependencies('B')).toEqual(['A']);
+      expect(graph.getDependencies('C')).toEqual(['B', 'A']);
+    });
+
+    test('should roll back when validation fails at commit', () => {
+      const before = snapshot(graph);
+      expect(() => graph.transaction(g => {
+        g.addEdge('C', 'A', 'formula');
+      }, {
+        validate: g => !g.hasCircularDependency({ edgeTypes: 'formula' })
+      })).toThrow('Transaction validation failed.');
+
+      expect(snapshot(graph)).toEqual(before);
+      expect(graph.hasCircularDependency()).toBe(false);
+    });
+
+    test('should rethrow errors thrown by validate', () => {
+      expect(() => graph.transaction(g => {
+        g.addEdge('C', 'A', 'formula');
+      }, {
+        validate: g => g.topologicalSort({ edgeTypes: 'formula' })
+      })).toThrow(CircularDependencyError);
+      expect(graph.hasEdge('C', 'A')).toBe(false);
+    });
+
+    test('should reject async functions and roll back their changes', async () => {
+      const before = snapshot(graph);
+      let rejected = false;
+      expect(() => graph.transaction(async g => {
+        g.addNode('X');
+        await Promise.resolve();
+        rejected = true;
+        throw new Error('too late');
+      })).toThrow('Transaction function must be synchronous.');
+
+      expect(snapshot(graph)).toEqual(before);
+      await new Promise(resolve => setImmediate(resolve));
+      expect(rejected).toBe(true);
+      expect(graph.hasNode('X')).toBe(false);
+    });
+
+    test('should notify listeners once on commit and not at all on rollback', () => {
+      const changes = [];
+      graph.on('change', batch => changes.push(batch));
+
+      graph.transaction(g => {
+        g.addEdge('C', 'D', 'formula');
+        g.addEdge('D', 'E', 'formula');
+      });
+      expect(changes).toHaveLength(1);
+      expect(changes[0]).toHaveLength(4);
+
+      expect(() => graph.transaction(g => {
+        g.removeNode('D');
+        throw new Error('fail');
+      })).toThrow('fail');
+      expect(changes).toHaveLength(1);
+      expect(graph.hasEdge('D', 'E')).toBe(true);
+    });
+
+    test('should only roll back the failing nested transaction', () => {
+      graph.transaction(g => {
+        g.addEdge('C', 'D', 'formula');
+        expect(() => g.transaction(inner => {
+          inner.addEdge('D', 'E', 'formula');
+          throw new Error('inner');
+        })).toThrow('inner');
+      });
+      expect(graph.hasEdge('C', 'D')).toBe(true);
+      expect(graph.hasNode('E')).toBe(false);
+    });
+
+    test('should keep acyclic mode consistent after a rollback', () => {
+      const acyclic = new DependencyGraph({ acyclic: true });
+      acyclic.addEdge('A', 'B', 'formula');
+      expect(() => acyclic.transaction(g => {
+        g.removeEdge('A', 'B');
+        g.addEdge('B', 'A', 'formula');
+        throw new Error('fail');
+      })).toThrow('fail');
+      expect(acyclic.hasEdge('A', 'B')).toBe(true);
+      expect(() => acyclic.addEdge('B', 'A', 'formula')).toThrow(CircularDependencyError);
+    });
+  });
+
+  describe('Undo/Redo History', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new DependencyGraph({ history: true });
+    });
+
+    const describeGraph = (g) => ({
+      nodes: Array.from(g.nodes.keys()).sort(),
+      edges: Array.from(g.nodes.keys()).flatMap(nodeId => g.getOutgoingEdges(nodeId)).map(edge => `${edge.from}-${edge.type}->${edge.to}`).sort()
+    });
+
+    test('should not record anything unless history mode is enabled', () => {
+      const plain = new DependencyGraph();
+      plain.addEdge('A', 'B', 'formula');
+      expect(plain.canUndo).toBe(false);
+      expect(plain.undo()).toBe(false);
+      expect(plain.checkpoint('start')).toBe(false);
+    });
+
+    test('should undo the nodes created implicitly by addEdge', () => {
+      graph.addEdge('A', 'B', 'formula');
+      expect(graph.canUndo).toBe(true);
+      expect(graph.undo()).toBe(true);
+      expect(graph.nodes.size).toBe(0);
+      expect(graph.canUndo).toBe(false);
+      expect(graph.canRedo).toBe(true);
+
+      expect(graph.redo()).toBe(true);
+      expect(graph.hasEdge('A', 'B', 'formula')).toBe(true);
+      expect(graph.canRedo).toBe(false);
+    });
+
+    test('should restore the edges dropped by removeNode', () => {
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('B', 'C', 'format');
+      graph.addNode('D', { value: 1 });
+      const before = describeGraph(graph);
+
+      graph.removeNode('B');
+      graph.undo();
+      expect(describeGraph(graph)).toEqual(before);
+      expect(graph.getEdge('A', 'B', 'formula').data).toEqual({ ref: 'A1' });
+
+      graph.redo();
+      expect(graph.hasNode('B')).toBe(false);
+      expect(graph.hasEdge('B', 'C')).toBe(false);
+    });
+
+    test('should undo data updates', () => {
+      graph.addNode('A', { value: 1 });
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.updateNodeData('A', { value: 2 });
+      graph.updateEdgeData('A', 'B', { absolute: true });
+      graph.addEdge('A', 'B', 'formula', { ref: 'A2' });
+
+      graph.undo();
+      expect(graph.getEdge('A', 'B', 'formula').data).toEqual({ ref: 'A1', absolute: true });
+      graph.undo();
+      expect(graph.getEdge('A', 'B', 'formula').data).toEqual({ ref: 'A1' });
+      graph.undo();
+      expect(graph.getNodeData('A')).toEqual({ value: 1 });
+      graph.redo();
+      expect(graph.getNodeData('A')).toEqual({ value: 2 });
+    });
+
+    test('should treat a batch or transaction as a single step', () => {
+      graph.transaction(g => {
+        g.addEdge('A', 'B', 'formula');
+        g.addEdge('B', 'C', 'formula');
+      });
+      graph.undo();
+      expect(graph.nodes.size).toBe(0);
+      expect(graph.canUndo).toBe(false);
+    });
+
+    test('should not record a rolled back transaction', () => {
+      graph.addNode('A');
+      expect(() => graph.transaction(g => {
+        g.addEdge('A', 'B', 'formula');
+        throw new Error('fail');
+      })).toThrow('fail');
+      graph.undo();
+      expect(graph.nodes.size).toBe(0);
+      expect(graph.canUndo).toBe(false);
+    });
+
+    test('should clear the redo stack on a new change', () => {
+      graph.addNode('A');
+      graph.undo();
+      graph.addNode('B');
+      expect(graph.canRedo).toBe(false);
+      expect(graph.redo()).toBe(false);
+    });
+
+    test('should notify listeners about undo and redo without recording new steps', () => {
+      const changes = [];
+      graph.addEdge('A', 'B', 'formula');
+      graph.on('change', batch => changes.push(batch.map(change => change.type)));
+
+      graph.undo();
+      graph.redo();
+      expect(changes).toEqual([
+        ['edgeRemoved', 'nodeRemoved', 'nodeRemoved'],
+        ['nodeAdded', 'nodeAdded', 'edgeAdded']
+      ]);
+      expect(graph.undo()).toBe(true);
+      expect(graph.canUndo).toBe(false);
+    });
+
+    test('should undo back to a labeled checkpoint', () => {
+      graph.addNode('A');
+      graph.checkpoint('before paste');
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      graph.removeNode('A');
+
+      expect(graph.undoTo('before paste')).toBe(true);
+      expect(describeGraph(graph)).toEqual({ nodes: ['A'], edges: [] });
+      expect(graph.canUndo).toBe(true);
+      expect(graph.undoTo('unknown')).toBe(false);
+    });
+
+    test('should forget checkpoints that can no longer be reached', () => {
+      graph.addNode('A');
+      graph.checkpoint('after A');
+      graph.undo();
+      graph.addNode('B');
+      expect(graph.undoTo('after A')).toBe(false);
+    });
+
+    test('should keep at most the configured number of steps', () => {
+      const bounded = new DependencyGraph({ history: { limit: 2 } });
+      bounded.checkpoint('start');
+      bounded.addNode('A');
+      bounded.addNode('B');
+      bounded.addNode('C');
+
+      expect(bounded.undo()).toBe(true);
+      expect(bounded.undo()).toBe(true);
+      expect(bounded.undo()).toBe(false);
+      expect(Array.from(bounded.nodes.keys())).toEqual(['A']);
+      expect(bounded.undoTo('start')).toBe(false);
+    });
+
+    test('should refuse to undo inside a batch', () => {
+      graph.addNode('A');
+      expect(() => graph.batch(g => g.undo())).toThrow('Cannot undo or redo while a batch or transaction is running.');
+      expect(graph.canUndo).toBe(true);
+      expect(graph.hasNode('A')).toBe(true);
+    });
+
+    test('should clear the history', () => {
+      graph.addNode('A');
+      graph.clearHistory();
+      expect(graph.canUndo).toBe(false);
+    });
+  });
+
+  describe('Roots, Leaves and Statistics', () => {
+    let graph;
+
+    beforeEach(() => {
+      //   A -> C <- B,  C -> D -> E -> D,  Z isolated
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('B', 'C', 'format');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('D', 'E', 'formula');
+      graph.addEdge('E', 'D', 'link');
+      graph.addNode('Z');
+    });
+
+    test('should find roots, leaves and isolated nodes', () => {
+      expect(graph.getRoots()).toEqual(['A', 'B', 'Z']);
+      expect(graph.getLeaves()).toEqual(['Z']);
+      expect(graph.getIsolatedNodes()).toEqual(['Z']);
+
+      expect(graph.getRoots({ edgeTypes: 'formula' })).toEqual(['A', 'B', 'Z']);
+      expect(graph.getLeaves({ edgeTypes: 'formula' })).toEqual(['E', 'Z']);
+      expect(graph.getIsolatedNodes({ edgeTypes: 'link' })).toEqual(['A', 'C', 'B', 'Z']);
+    });
+
+    test('should count degrees per edge', () => {
+      expect(graph.inDegree('C')).toBe(3);
+      expect(graph.inDegree('C', { edgeTypes: 'formula' })).toBe(2);
+      expect(graph.outDegree('B')).toBe(2);
+      expect(graph.outDegree('Z')).toBe(0);
+      expect(graph.inDegree('missing')).toBe(0);
+    });
+
+    test('should summarize the graph', () => {
+      expect(graph.stats()).toEqual({
+        nodeCount: 6,
+        edgeCount: 6,
+        edgesByType: { formula: 4, format: 1, link: 1 },
+        rootCount: 3,
+        leafCount: 1,
+        isolatedCount: 1,
+        maxDepth: 2,
+        averageFanIn: 6 / 3,
+        averageFanOut: 6 / 5,
+        maxFanIn: 3,
+        maxFanOut: 2,
+        componentCount: 2,
+        largestComponentSize: 5
+      });
+
+      expect(graph.stats({ edgeTypes: 'formula' })).toMatchObject({
+        edgeCount: 4,
+        edgesByType: { formula: 4 },
+        leafCount: 2,
+        maxDepth: 3
+      });
+    });
+
+    test('should summarize an empty graph', () => {
+      expect(new DependencyGraph().stats()).toEqual({
+        nodeCount: 0,
+        edgeCount: 0,
+        edgesByType: {},
+        rootCount: 0,
+        leafCount: 0,
+        isolatedCount: 0,
+        maxDepth: 0,
+        averageFanIn: 0,
+        averageFanOut: 0,
+        maxFanIn: 0,
+        maxFanOut: 0,
+        componentCount: 0,
+        largestComponentSize: 0
+      });
+    });
+  });
+
+  describe('Traversal', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'type1');
+      graph.addEdge('A', 'C', 'type2');
+      graph.addEdge('B', 'D', 'type1');
+      graph.addEdge('E', 'A', 'type2');
+    });
+
+    test('should perform a basic outgoing traversal', () => {
+      const path = graph.traverse('A').sort();
+      expect(path).toEqual(['A', 'B', 'C', 'D']);
+    });
+
+    test('should perform a basic incoming traversal', () => {
+      const path = graph.traverse('A', { direction: 'incoming' }).sort();
+      expect(path).toEqual(['A', 'E']);
+    });
+
+    test('should filter outgoing traversal by a single edge type', () => {
+      const path = graph.traverse('A', { edgeTypes: 'type1' }).sort();
+      expect(path).toEqual(['A', 'B', 'D']);
+    });
+
+    test('should filter incoming traversal by a single edge type', () => {
+      const path = graph.traverse('A', { direction: 'incoming', edgeTypes: 'type1' }).sort();
+      expect(path).toEqual(['A']);
+    });
+
+    test('should filter outgoing traversal by multiple edge types', () => {
+      const path = graph.traverse('A', { edgeTypes: ['type1', 'type2'] }).sort();
+      expect(path).toEqual(['A', 'B', 'C', 'D']);
+    });
+  });
+
+  describe('Traversal Strategies (BFS vs DFS)', () => {
+    let graph;
+
+    beforeEach(() => {
+      // Create a graph where BFS and DFS will produce different orders
+      //     A
+      //    / \
+      //   B   C
+      //   |   |
+      //   D   E
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('A', 'C', 'link');
+      graph.addEdge('B', 'D', 'link');
+      graph.addEdge('C', 'E', 'link');
+    });
+
+    test('should use BFS by default', () => {
+      const path = graph.traverse('A');
+      expect(path[0]).toBe('A');
+      // In BFS, we visit level by level: A, then B and C, then D and E
+      expect(path.slice(0, 3)).toContain('A');
+      expect(path.slice(0, 3)).toContain('B');
+      expect(path.slice(0, 3)).toContain('C');
+    });
+
+    test('should perform BFS when explicitly specified', () => {
+      const path = graph.traverse('A', { strategy: 'bfs' });
+      expect(path).toHaveLength(5);
+      expect(path[0]).toBe('A');
+      // BFS visits level by level
+    });
+
+    test('should perform DFS when specified', () => {
+      const path = graph.traverse('A', { strategy: 'dfs' });
+      expect(path).toHaveLength(5);
+      expect(path[0]).toBe('A');
+      // DFS goes deep before going wide
+    });
+
+    test('should work with DFS in incoming direction', () => {
+      const testGraph = new DependencyGraph();
+      testGraph.addEdge('B', 'A', 'link');
+      testGraph.addEdge('C', 'A', 'link');
+      testGraph.addEdge('D', 'B', 'link');
+      testGraph.addEdge('E', 'C', 'link');
+
+      const path = testGraph.traverse('A', { direction: 'incoming', strategy: 'dfs' });
+      expect(path).toHaveLength(5);
+      expect(path).toContain('A');
+      expect(path).toContain('B');
+      expect(path).toContain('C');
+      expect(path).toContain('D');
+      expect(path).toContain('E');
+    });
+
+    test('should work with DFS and edge type filtering', () => {
+      const testGraph = new DependencyGraph();
+      testGraph.addEdge('A', 'B', 'type1');
+      testGraph.addEdge('A', 'C', 'type2');
+      testGraph.addEdge('B', 'D', 'type1');
+
+      const path = testGraph.traverse('A', { strategy: 'dfs', edgeTypes: 'type1' });
+      expect(path).toEqual(['A', 'B', 'D']);
+    });
+  });
+
+  describe('Traversal Limits and Filters', () => {
+    let graph;
+
+    beforeEach(() => {
+      //   A -> B -> D -> E
+      //   A -> C (link)
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula', { weight: 1 });
+      graph.addEdge('A', 'C', 'link');
+      graph.addEdge('B', 'D', 'formula', { weight: 5 });
+      graph.addEdge('D', 'E', 'formula');
+    });
+
+    test('should stop expanding at maxDepth', () => {
+      expect(graph.traverse('A', { maxDepth: 0 })).toEqual(['A']);
+      expect(graph.traverse('A', { maxDepth: 1 })).toEqual(['A', 'B', 'C']);
+      expect(graph.traverse('A', { maxDepth: 2, strategy: 'dfs' })).toEqual(['A', 'C', 'B', 'D']);
+      expect(graph.getDependencies('E', { maxDepth: 2 })).toEqual(['D', 'B']);
+    });
+
+    test('should prune nodes rejected by nodeFilter', () => {
+      const calls = [];
+      const result = graph.traverse('A', {
+        nodeFilter: (nodeId, depth) => {
+          calls.push([nodeId, depth]);
+          return nodeId !== 'D';
+        }
+      });
+
+      expect(result).toEqual(['A', 'B', 'C']);
+      expect(calls).toEqual([['B', 1], ['C', 1], ['D', 2]]);
+    });
+
+    test('should prune edges rejected by edgeFilter', () => {
+      const calls = [];
+      const result = graph.getDependents('A', {
+        edgeFilter: (edge, from, to) => {
+          calls.push([from, to]);
+          return edge.type === 'formula' && (edge.data.weight || 0) < 5;
+        }
+      });
+
+      expect(result).toEqual(['B']);
+      expect(calls).toEqual([['A', 'B'], ['A', 'C'], ['B', 'D']]);
+
+      // In the incoming direction `from` is the node being expanded
+      const incoming = [];
+      graph.getDependencies('B', { edgeFilter: (edge, from, to) => incoming.push([edge.from, from, to]) });
+      expect(incoming).toEqual([['A', 'B', 'A']]);
+    });
+
+    test('should try every parallel edge before giving up on a neighbor', () => {
+      graph.addEdge('A', 'C', 'formula');
+      const result = graph.traverse('A', { edgeFilter: edge => edge.type === 'formula', records: true });
+      expect(result.find(record => record.nodeId === 'C').edge.type).toBe('formula');
+    });
+
+    test('should leave out the start node with includeStart false', () => {
+      expect(graph.traverse('A', { includeStart: false, maxDepth: 1 })).toEqual(['B', 'C']);
+
+      graph.addEdge('E', 'A', 'formula');
+      expect(graph.traverse('A', { includeStart: false })).toEqual(['B', 'C', 'D', 'E']);
+    });
+
+    test('should return records', () => {
+      const records = graph.traverse('A', { records: true, edgeTypes: 'formula' });
+
+      expect(records).toEqual([
+        { nodeId: 'A', depth: 0, parent: null, edge: null },
+        { nodeId: 'B', depth: 1, parent: 'A', edge: { from: 'A', to: 'B', type: 'formula', data: { weight: 1 } } },
+        { nodeId: 'D', depth: 2, parent: 'B', edge: { from: 'B', to: 'D', type: 'formula', data: { weight: 5 } } },
+        { nodeId: 'E', depth: 3, parent: 'D', edge: { from: 'D', to: 'E', type: 'formula', data: {} } }
+      ]);
+
+      records[1].edge.type = 'changed';
+      expect(graph.getEdge('A', 'B').type).toBe('formula');
+      expect(graph.getDependents('A', { records: true, maxDepth: 1 }).map(record => record.nodeId)).toEqual(['B', 'C']);
+    });
+
+    test('should bypass the reachability cache when limits or filters are used', () => {
+      const cached = new DependencyGraph({ reachabilityCache: true });
+      cached.addEdge('A', 'B', 'formula');
+      cached.addEdge('B', 'C', 'formula');
+
+      expect(cached.getDependents('A')).toEqual(['B', 'C']);
+      expect(cached.getDependents('A', { maxDepth: 1 })).toEqual(['B']);
+      expect(cached.getDependents('A', { nodeFilter: nodeId => nodeId !== 'B' })).toEqual([]);
+      expect(cached.getDependents('A', { records: true })[0]).toMatchObject({ nodeId: 'B', depth: 1 });
+    });
+
+    test('should prune getTree', () => {
+      expect(graph.getTree('A', { maxDepth: 1 })).toEqual({
+        node: 'A',
+        children: [{ node: 'B', children: [] }, { node: 'C', children: [] }]
+      });
+      expect(graph.getTree('A', { nodeFilter: nodeId => nodeId !== 'C', edgeFilter: (edge, from) => from !== 'D' })).toEqual({
+        node: 'A',
+        children: [{ node: 'B', children: [{ node: 'D', children: [] }] }]
+      });
+    });
+
+    test('should prune executeOnTree', async () => {
+      const executed = [];
+      const callback = async (nodeId) => {
+        executed.push(nodeId);
+        return nodeId;
+      };
+
+      const tree = await graph.executeOnTree('A', callback, { maxDepth: 2, nodeFilter: nodeId => nodeId !== 'C' });
+      expect(executed).toEqual(['A', 'B', 'D']);
+      expect(tree.children.map(child => child.node)).toEqual(['B']);
+      expect(tree.children[0].children[0].children).toEqual([]);
+
+      executed.length = 0;
+      await graph.executeOnTree('A', callback, { edgeFilter: edge => edge.type === 'link' });
+      expect(executed).toEqual(['A', 'C']);
+    });
+  });
+
+  describe('Lazy Traversal', () => {
+    let graph;
+
+    beforeEach(() => {
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('A', 'C', 'link');
+      graph.addEdge('B', 'D', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('D', 'A', 'formula');
+    });
+
+    test('should yield the same values as traverse', () => {
+      const optionSets = [
+        {},
+        { strategy: 'dfs' },
+        { direction: 'incoming', edgeTypes: 'formula' },
+        { maxDepth: 1, includeStart: false },
+        { records: true, nodeFilter: nodeId => nodeId !== 'B' }
+      ];
+      for (const options of optionSets) {
+        expect([...graph.traverseIter('A', options)]).toEqual(graph.traverse('A', options));
+      }
+    });
+
+    test('should stop visiting nodes when the caller breaks', () => {
+      const visited = [];
+      let found = null;
+      for (const nodeId of graph.traverseIter('A', { nodeFilter: nodeId => visited.push(nodeId) })) {
+        if (nodeId === 'B') {
+          found = nodeId;
+          break;
+        }
+      }
+
+      expect(found).toBe('B');
+      expect(visited).toEqual(['B', 'C']);
+    });
+
+    test('should yield nothing for a missing start node', () => {
+      expect([...graph.traverseIter('missing')]).toEqual([]);
+    });
+
+    test('should yield the same values asynchronously', async () => {
+      const collect = async (iterable) => {
+        const values = [];
+        for await (const value of iterable) {
+          values.push(value);
+        }
+        return values;
+      };
+
+      for (const options of [{}, { strategy: 'dfs', records: true }, { direction: 'incoming', maxDepth: 1 }]) {
+        expect(await collect(graph.traverseAsyncIter('A', options))).toEqual(graph.traverse('A', options));
+      }
+      expect(await collect(graph.traverseAsyncIter('missing'))).toEqual([]);
+    });
+
+    test('should await async filters', async () => {
+      graph.addEdge('A', 'C', 'formula');
+      const values = [];
+      for await (const record of graph.traverseAsyncIter('A', {
+        records: true,
+        nodeFilter: async nodeId => nodeId !== 'B',
+        edgeFilter: async edge => edge.type === 'formula'
+      })) {
+        values.push([record.nodeId, record.edge && record.edge.type]);
+      }
+
+      expect(values).toEqual([['A', null], ['C', 'formula'], ['D', 'formula']]);
+    });
+
+    test('should apply filters the same way synchronously and asynchronously', async () => {
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('A', 'C', 'link');
+      const calls = { sync: [], async: [] };
+      const options = (log) => ({
+        records: true,
+        edgeTypes: ['formula', 'link'],
+        edgeFilter: (edge, from, to) => log.push(`${from}->${to}:${edge.type}`) && edge.type === 'link',
+        nodeFilter: (nodeId, depth) => log.push(`${nodeId}@${depth}`) && nodeId !== 'D'
+      });
+
+      const values = [];
+      for await (const record of graph.traverseAsyncIter('A', options(calls.async))) {
+        values.push(record);
+      }
+
+      expect(values).toEqual(graph.traverse('A', options(calls.sync)));
+      expect(values.map(record => [record.nodeId, record.edge && record.edge.type])).toEqual([['A', null], ['B', 'link'], ['C', 'link']]);
+      expect(calls.async).toEqual(calls.sync);
+    });
+  });
+
+  describe('Multi-Source Traversal', () => {
+    let graph;
+
+    beforeEach(() => {
+      //   A -> B -> D
+      //   C -> B
+      //   C -> E
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'D', 'formula');
+      graph.addEdge('C', 'B', 'formula');
+      graph.addEdge('C', 'E', 'link');
+    });
+
+    test('should traverse from several start nodes in one pass', () => {
+      expect(graph.traverse(['A', 'C'])).toEqual(['A', 'C', 'B', 'E', 'D']);
+      expect(graph.traverse(['A', 'C'], { strategy: 'dfs' })).toEqual(['A', 'B', 'D', 'C', 'E']);
+      expect(graph.traverse(['A', 'C'], { records: true, maxDepth: 1 }).map(record => [record.nodeId, record.depth]))
+        .toEqual([['A', 0], ['C', 0], ['B', 1], ['E', 1]]);
+      expect([...graph.traverseIter(['D', 'E'], { direction: 'incoming' })]).toEqual(['D', 'E', 'B', 'C', 'A']);
+    });
+
+    test('should ignore missing start nodes', () => {
+      expect(graph.traverse(['missing', 'C'])).toEqual(['C', 'B', 'E', 'D']);
+
+      const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+      expect(graph.traverse(['missing'])).toEqual([]);
+      expect(spy).toHaveBeenCalled();
+      spy.mockRestore();
+    });
+
+    test('should return the union of dependents without the start nodes', () => {
+      expect(graph.getDependents(['A', 'C'])).toEqual(['B', 'E', 'D']);
+      expect(graph.getDependents(['A', 'B'])).toEqual(['D']);
+      expect(graph.getDependencies(['D', 'E'], { edgeTypes: 'formula' })).toEqual(['B', 'A', 'C']);
+
+      const cached = new DependencyGraph({ reachabilityCache: true });
+      cached.addEdge('A', 'B', 'formula');
+      cached.addEdge('C', 'D', 'formula');
+      expect(cached.getDependents(['A', 'C'])).toEqual(['B', 'D']);
+    });
+
+    test('should build a forest with shared visited state', () => {
+      expect(graph.getForest(['A', 'C'])).toEqual([
+        { node: 'A', children: [{ node: 'B', children: [{ node: 'D', children: [] }] }] },
+        { node: 'C', children: [{ node: 'E', children: [] }] }
+      ]);
+      expect(graph.getForest(['A', 'B', 'missing'], { edgeTypes: 'formula' })).toEqual([
+        { node: 'A', children: [{ node: 'B', children: [{ node: 'D', children: [] }] }] }
+      ]);
+      expect(graph.getForest([])).toEqual([]);
+    });
+
+    test('should execute several roots in parallel', async () => {
+      const executed = [];
+      const trees = await graph.executeOnTree(['A', 'C'], async (nodeId, parentResult) => {
+        executed.push(nodeId);
+        return (parentResult || '') + nodeId;
+      });
+
+      expect(trees.map(tree => tree.node)).toEqual(['A', 'C']);
+      expect(trees[0].children[0].result).toBe('AB');
+      expect(trees[1].children.find(child => child.node === 'E').result).toBe('CE');
+      // B is reached from both roots through 'formula' edges, so it only runs once
+      expect(executed.filter(nodeId => nodeId === 'B')).toHaveLength(1);
+      expect(trees[1].children.find(child => child.node === 'B').isCircularRef).toBe(true);
+    });
+
+    test('should reject missing roots', async () => {
+      await expect(graph.executeOnTree(['A', 'missing'], async () => null))
+        .rejects.toThrow("Start node 'missing' does not exist.");
+    });
+  });
+
+  describe('Circular Dependency Detection', () => {
+    test('should return false for a graph with no cycles', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'C', 'link');
+      expect(graph.hasCircularDependency()).toBe(false);
+      expect(graph.findCircularDependency()).toBeNull();
+    });
+
+    test('should detect a simple cycle', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'A', 'link');
+      expect(graph.hasCircularDependency()).toBe(true);
+      expect(graph.findCircularDependency()).toEqual(['A', 'B', 'A']);
+    });
+
+    test('should detect a longer cycle', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'C', 'link');
+      graph.addEdge('C', 'A', 'link');
+      expect(graph.hasCircularDependency()).toBe(true);
+      expect(graph.findCircularDependency()).toEqual(['A', 'B', 'C', 'A']);
+    });
+
+    test('should not detect a cycle when filtered by edge type', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'type1');
+      graph.addEdge('B', 'A', 'type2');
+      expect(graph.hasCircularDependency({ edgeTypes: 'type1' })).toBe(false);
+      expect(graph.findCircularDependency({ edgeTypes: 'type1' })).toBeNull();
+    });
+    
+    test('should detect a cycle when the type matches the filter', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'type1');
+      graph.addEdge('B', 'C', 'type1');
+      graph.addEdge('C', 'A', 'type2'); // This edge is not part of the cycle
+      graph.addEdge('C', 'B', 'type1'); // This creates a B->C->B cycle
+      expect(graph.hasCircularDependency({ edgeTypes: 'type1' })).toBe(true);
+      expect(graph.findCircularDependency({ edgeTypes: 'type1' })).toEqual(['B', 'C', 'B']);
+    });
+  });
+
+  describe('Enumerating All Circular Dependencies', () => {
+    test('should return an empty array for an acyclic graph', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'C', 'link');
+      expect(graph.findAllCircularDependencies()).toEqual([]);
+    });
+
+    test('should find every elementary cycle exactly once', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'A', 'link');
+      graph.addEdge('B', 'C', 'link');
+      graph.addEdge('C', 'A', 'link');
+      graph.addEdge('C', 'C', 'link');
+
+      const paths = graph.findAllCircularDependencies().map(cycle => cycle.path);
+      expect(paths).toHaveLength(3);
+      expect(paths).toContainEqual(['A', 'B', 'A']);
+      expect(paths).toContainEqual(['A', 'B', 'C', 'A']);
+      expect(paths).toContainEqual(['C', 'C']);
+    });
+
+    test('should annotate every hop with its edge type and data', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula', { weight: 1 });
+      graph.addEdge('B', 'A', 'formula', { weight: 2 });
+
+      expect(graph.findAllCircularDependencies()).toEqual([
+        {
+          path: ['A', 'B', 'A'],
+          edges: [
+            { from: 'A', to: 'B', type: 'formula', data: { weight: 1 } },
+            { from: 'B', to: 'A', type: 'formula', data: { weight: 2 } }
+          ]
+        }
+      ]);
+    });
+
+    test('should only consider the filtered edge types', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'type1');
+      graph.addEdge('B', 'A', 'type1');
+      graph.addEdge('B', 'C', 'type1');
+      graph.addEdge('C', 'B', 'type2');
+
+      const paths = graph.findAllCircularDependencies({ edgeTypes: 'type1' }).map(cycle => cycle.path);
+      expect(paths).toEqual([['A', 'B', 'A']]);
+      expect(graph.findAllCircularDependencies()).toHaveLength(2);
+    });
+
+    test('should respect maxCycles and maxLength', () => {
+      // Complete graph on four nodes: 20 elementary cycles
+      const graph = new DependencyGraph();
+      const ids = ['A', 'B', 'C', 'D'];
+      for (const from of ids) {
+        for (const to of ids) {
+          if (from !== to) graph.addEdge(from, to, 'link');
+        }
+      }
+
+      expect(graph.findAllCircularDependencies()).toHaveLength(20);
+      expect(graph.findAllCircularDependencies({ maxCycles: 5 })).toHaveLength(5);
+
+      const short = graph.findAllCircularDependencies({ maxLength: 2 });
+      expect(short).toHaveLength(6);
+      short.forEach(cycle => expect(cycle.edges).toHaveLength(2));
+
+      expect(graph.findAllCircularDependencies({ maxLength: 3 })).toHaveLength(14);
+    });
+  });
+
+  describe('Topological Sort', () => {
+    test('should order every node after the nodes it is reached from', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('A', 'C', 'link');
+      graph.addEdge('B', 'D', 'link');
+      graph.addEdge('C', 'D', 'link');
+      graph.addNode('E');
+
+      const order = graph.topologicalSort();
+      expect(order).toHaveLength(5);
+      expect(order.indexOf('A')).toBeLessThan(order.indexOf('B'));
+      expect(order.indexOf('A')).toBeLessThan(order.indexOf('C'));
+      expect(order.indexOf('B')).toBeLessThan(order.indexOf('D'));
+      expect(order.indexOf('C')).toBeLessThan(order.indexOf('D'));
+      expect(order).toContain('E');
+    });
+
+    test('should reverse the order for incoming direction', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'C', 'link');
+      expect(graph.topologicalSort({ direction: 'incoming' })).toEqual(['C', 'B', 'A']);
+    });
+
+    test('should return an empty array for an empty graph', () => {
+      const graph = new DependencyGraph();
+      expect(graph.topologicalSort()).toEqual([]);
+    });
+
+    test('should throw a CircularDependencyError carrying the cycle', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'C', 'link');
+      graph.addEdge('C', 'A', 'link');
+
+      expect(() => graph.topologicalSort()).toThrow(CircularDependencyError);
+      try {
+        graph.topologicalSort();
+      } catch (error) {
+        expect(error.cycle).toEqual(['A', 'B', 'C', 'A']);
+        expect(error.message).toContain('A -> B -> C -> A');
+      }
+    });
+
+    test('should report the cycle of a very deep graph', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('start', 'N0');
+      for (let i = 1; i < 50000; i++) {
+        graph.addEdge(`N${i - 1}`, `N${i}`);
+      }
+      graph.addEdge('N49999', 'N49990');
+
+      const expected = ['N49990', 'N49991', 'N49992', 'N49993', 'N49994', 'N49995', 'N49996', 'N49997', 'N49998', 'N49999', 'N49990'];
+      for (const sort of [() => graph.topologicalSort(), () => graph.getLevels(), () => graph.topologicalSort({ direction: 'incoming' })]) {
+        let caught;
+        try {
+          sort();
+        } catch (error) {
+          caught = error;
+        }
+        expect(caught).toBeInstanceOf(CircularDependencyError);
+        expect(caught.cycle).toEqual(expected);
+      }
+
+      graph.addEdge('N0', 'N0');
+      expect(() => graph.criticalPath()).toThrow(CircularDependencyError);
+      expect(() => graph.transitiveReduction()).toThrow(CircularDependencyError);
+    });
+
+    test('should ignore cycles formed by filtered-out edge types', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'type1');
+      graph.addEdge('B', 'A', 'type2');
+      expect(graph.topologicalSort({ edgeTypes: 'type1' })).toEqual(['A', 'B']);
+      expect(() => graph.topologicalSort()).toThrow(CircularDependencyError);
+    });
+  });
+
+  describe('Levels', () => {
+    test('should place each node one level after its deepest dependency', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('A', 'C', 'format');
+      graph.addNode('E');
+
+      expect(graph.getLevels()).toEqual([['A', 'E'], ['B'], ['C'], ['D']]);
+      expect(graph.getLevels({ direction: 'incoming' })).toEqual([['D', 'E'], ['C'], ['B'], ['A']]);
+      expect(graph.getLevels({ edgeTypes: 'format' })).toEqual([['D', 'A', 'B', 'E'], ['C']]);
+    });
+
+    test('should list every node exactly once', () => {
+      const graph = new DependencyGraph();
+      for (let i = 0; i < 50; i++) {
+        graph.addEdge(`N${i % 7}`, `N${(i * 3) % 11 + 7}`, 'formula');
+      }
+      const levels = graph.getLevels();
+      const levelOf = new Map();
+      levels.forEach((level, index) => level.forEach(nodeId => levelOf.set(nodeId, index)));
+
+      expect(levels.flat().sort()).toEqual(Array.from(graph.nodes.keys()).sort());
+      for (const edge of graph.getEdgesByType('formula')) {
+        expect(levelOf.get(edge.from)).toBeLessThan(levelOf.get(edge.to));
+      }
+    });
+
+    test('should return no levels for an empty graph and throw on cycles', () => {
+      expect(new DependencyGraph().getLevels()).toEqual([]);
+
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'A', 'format');
+      expect(graph.getLevels({ edgeTypes: 'formula' })).toEqual([['A'], ['B']]);
+      expect(() => graph.getLevels()).toThrow(CircularDependencyError);
+    });
+  });
+
+  describe('Recalculation Planning', () => {
+    let graph;
+
+    beforeEach(() => {
+      //   A1 -> B1 -> C1 <-> D1 -> E1,  A2 -> B1,  Z1 -> Z2
+      graph = new DependencyGraph();
+      graph.addEdge('A1', 'B1', 'formula');
+      graph.addEdge('A2', 'B1', 'formula');
+      graph.addEdge('B1', 'C1', 'formula');
+      graph.addEdge('C1', 'D1', 'formula');
+      graph.addEdge('D1', 'C1', 'formula');
+      graph.addEdge('D1', 'E1', 'formula');
+      graph.addEdge('Z1', 'Z2', 'formula');
+    });
+
+    test('should accumulate and clear dirty marks', () => {
+      expect(graph.markDirty('A1')).toBe(graph);
+      graph.markDirty(['B1', 'missing', 'A1']);
+      expect(graph.getDirtyNodes()).toEqual(['A1', 'B1']);
+
+      graph.removeNode('B1');
+      expect(graph.getDirtyNodes()).toEqual(['A1']);
+
+      expect(graph.clearDirty()).toBe(graph);
+      expect(graph.getDirtyNodes()).toEqual([]);
+      expect(graph.getRecalcPlan()).toEqual([]);
+    });
+
+    test('should plan only the affected nodes in dependency order', () => {
+      graph.markDirty(['Z1', 'B1']);
+      expect(graph.getRecalcPlan()).toEqual([{ nodeId: 'Z1' }, { nodeId: 'B1' }, { nodeId: 'Z2' }, { cycle: ['C1', 'D1'] }, { nodeId: 'E1' }]);
+
+      graph.clearDirty().markDirty('Z2');
+      expect(graph.getRecalcPlan()).toEqual([{ nodeId: 'Z2' }]);
+    });
+
+    test('should place every node after its dependencies', () => {
+      graph.addEdge('A1', 'E1', 'formula');
+      graph.addEdge('A2', 'A1', 'formula');
+      graph.markDirty(['A1', 'A2']);
+
+      const steps = graph.getRecalcPlan();
+      const position = (nodeId) => steps.findIndex(step => step.nodeId === nodeId || step.cycle?.includes(nodeId));
+      expect(steps.filter(step => step.cycle)).toEqual([{ cycle: ['C1', 'D1'] }]);
+      expect(position('A2')).toBeLessThan(position('A1'));
+      expect(position('A1')).toBeLessThan(position('B1'));
+      expect(position('B1')).toBeLessThan(position('C1'));
+      // E1 depends on the cycle even though A1 reaches it directly
+      expect(position('C1')).toBeLessThan(position('E1'));
+    });
+
+    test('should place nodes downstream of a cycle after it', () => {
+      graph.addEdge('E1', 'F1', 'formula');
+      graph.markDirty(['A1', 'A2']);
+
+      expect(graph.getRecalcPlan()).toEqual([
+        { nodeId: 'A1' }, { nodeId: 'A2' }, { nodeId: 'B1' }, { cycle: ['C1', 'D1'] }, { nodeId: 'E1' }, { nodeId: 'F1' }
+      ]);
     });
-    
-    test('should not remove a non-existent edge', () => {
-      const graph = new DependencyGraph();
-      graph.addNode('A');
-      graph.addNode('B');
-      expect(graph.removeEdge('A', 'B')).toBe(false);
+
+    test('should follow edge types and report self references as cycles', () => {
+      graph.addEdge('B1', 'B1', 'format');
+      graph.markDirty('A1');
+
+      expect(graph.getRecalcPlan({ edgeTypes: 'format' })).toEqual([{ nodeId: 'A1' }]);
+      expect(graph.getRecalcPlan().filter(step => step.cycle)).toEqual([{ cycle: ['B1'] }, { cycle: ['C1', 'D1'] }]);
+      expect(graph.getDirtyNodes()).toEqual(['A1']);
     });
 
-    test('should add an edge with data', () => {
-      const graph = new DependencyGraph();
-      const data = { weight: 5 };
-      graph.addEdge('A', 'B', 'equational', data);
-      expect(graph.edges.get('A->B').data).toEqual(data);
+    test('should plan graphs whose edges point to dependencies', () => {
+      //   E1 -> D1 <-> C1 -> B1 -> A1
+      const reversed = new DependencyGraph();
+      reversed.addEdge('B1', 'A1', 'formula');
+      reversed.addEdge('C1', 'B1', 'formula');
+      reversed.addEdge('C1', 'D1', 'formula');
+      reversed.addEdge('D1', 'C1', 'formula');
+      reversed.addEdge('E1', 'D1', 'formula');
+      reversed.markDirty('A1');
+
+      expect(reversed.getRecalcPlan({ direction: 'incoming' }))
+        .toEqual([{ nodeId: 'A1' }, { nodeId: 'B1' }, { cycle: ['C1', 'D1'] }, { nodeId: 'E1' }]);
+      expect(reversed.getRecalcPlan()).toEqual([{ nodeId: 'A1' }]);
     });
   });
 
-  describe('Traversal', () => {
+  describe('Strongly Connected Components', () => {
     let graph;
 
     beforeEach(() => {
+      // Two circular groups (A,B,C) and (E,F) joined through D
       graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'type1');
-      graph.addEdge('A', 'C', 'type2');
-      graph.addEdge('B', 'D', 'type1');
-      graph.addEdge('E', 'A', 'type2');
+      graph.addEdge('A', 'B', 'link');
+      graph.addEdge('B', 'C', 'link');
+      graph.addEdge('C', 'A', 'link');
+      graph.addEdge('C', 'D', 'link');
+      graph.addEdge('D', 'E', 'link');
+      graph.addEdge('E', 'F', 'link');
+      graph.addEdge('F', 'E', 'link');
     });
 
-    test('should perform a basic outgoing traversal', () => {
-      const path = graph.traverse('A').sort();
-      expect(path).toEqual(['A', 'B', 'C', 'D']);
+    test('should report every circular group in topological order', () => {
+      expect(graph.getStronglyConnectedComponents()).toEqual([
+        ['A', 'B', 'C'],
+        ['D'],
+        ['E', 'F']
+      ]);
     });
 
-    test('should perform a basic incoming traversal', () => {
-      const path = graph.traverse('A', { direction: 'incoming' }).sort();
-      expect(path).toEqual(['A', 'E']);
+    test('should only follow the filtered edge types', () => {
+      graph.addEdge('D', 'A', 'other');
+      expect(graph.getStronglyConnectedComponents({ edgeTypes: 'link' })).toHaveLength(3);
+      expect(graph.getStronglyConnectedComponents()).toEqual([
+        ['A', 'B', 'C', 'D'],
+        ['E', 'F']
+      ]);
     });
 
-    test('should filter outgoing traversal by a single edge type', () => {
-      const path = graph.traverse('A', { edgeTypes: 'type1' }).sort();
-      expect(path).toEqual(['A', 'B', 'D']);
+    test('should handle long chains without overflowing the stack', () => {
+      const chain = new DependencyGraph();
+      for (let i = 0; i < 20000; i++) {
+        chain.addEdge(`n${i}`, `n${i + 1}`, 'link');
+      }
+      chain.addEdge('n20000', 'n0', 'link');
+      const components = chain.getStronglyConnectedComponents();
+      expect(components).toHaveLength(1);
+      expect(components[0]).toHaveLength(20001);
     });
 
-    test('should filter incoming traversal by a single edge type', () => {
-      const path = graph.traverse('A', { direction: 'incoming', edgeTypes: 'type1' }).sort();
-      expect(path).toEqual(['A']);
+    test('should condense components into an acyclic graph of super-nodes', () => {
+      const condensed = graph.condense();
+      expect(condensed).toBeInstanceOf(DependencyGraph);
+      expect(Array.from(condensed.nodes.keys())).toEqual(['A', 'D', 'E']);
+      expect(condensed.hasCircularDependency()).toBe(false);
+      expect(condensed.topologicalSort()).toEqual(['A', 'D', 'E']);
+      expect(condensed.edges.get('A->D').has('link')).toBe(true);
     });
 
-    test('should filter outgoing traversal by multiple edge types', () => {
-      const path = graph.traverse('A', { edgeTypes: ['type1', 'type2'] }).sort();
-      expect(path).toEqual(['A', 'B', 'C', 'D']);
+    test('should leave an acyclic graph unchanged when condensed', () => {
+      const dag = new DependencyGraph();
+      dag.addEdge('A', 'B', 'link');
+      dag.addEdge('B', 'C', 'link');
+      const condensed = dag.condense();
+      expect(Array.from(condensed.nodes.keys())).toEqual(['A', 'B', 'C']);
+      expect(Array.from(condensed.edges.entries())).toEqual(Array.from(dag.edges.entries()));
     });
   });
 
-  describe('Traversal Strategies (BFS vs DFS)', () => {
+  describe('Shortest Path', () => {
     let graph;
 
     beforeEach(() => {
-      // Create a graph where BFS and DFS will produce different orders
-      //     A
-      //    / \
-      //   B   C
-      //   |   |
-      //   D   E
+      // A -> B -> D is shorter in hops, A -> C -> E -> D is cheaper by weight
       graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'link');
-      graph.addEdge('A', 'C', 'link');
-      graph.addEdge('B', 'D', 'link');
-      graph.addEdge('C', 'E', 'link');
+      graph.addEdge('A', 'B', 'link', { weight: 10 });
+      graph.addEdge('B', 'D', 'link', { weight: 10 });
+      graph.addEdge('A', 'C', 'link', { weight: 1 });
+      graph.addEdge('C', 'E', 'link', { weight: 1 });
+      graph.addEdge('E', 'D', 'link', { weight: 1 });
+      graph.addNode('F');
     });
 
-    test('should use BFS by default', () => {
-      const path = graph.traverse('A');
-      expect(path[0]).toBe('A');
-      // In BFS, we visit level by level: A, then B and C, then D and E
-      expect(path.slice(0, 3)).toContain('A');
-      expect(path.slice(0, 3)).toContain('B');
-      expect(path.slice(0, 3)).toContain('C');
+    test('should find the path with the fewest edges without a weight', () => {
+      const result = graph.shortestPath('A', 'D');
+      expect(result.path).toEqual(['A', 'B', 'D']);
+      expect(result.cost).toBe(2);
+      expect(result.edges).toEqual([
+        { from: 'A', to: 'B', type: 'link', data: { weight: 10 } },
+        { from: 'B', to: 'D', type: 'link', data: { weight: 10 } }
+      ]);
     });
 
-    test('should perform BFS when explicitly specified', () => {
-      const path = graph.traverse('A', { strategy: 'bfs' });
-      expect(path).toHaveLength(5);
-      expect(path[0]).toBe('A');
-      // BFS visits level by level
+    test('should find the cheapest path by an edge data property', () => {
+      const result = graph.shortestPath('A', 'D', { weight: 'weight' });
+      expect(result.path).toEqual(['A', 'C', 'E', 'D']);
+      expect(result.cost).toBe(3);
+      expect(result.edges.map(edge => edge.to)).toEqual(['C', 'E', 'D']);
     });
 
-    test('should perform DFS when specified', () => {
-      const path = graph.traverse('A', { strategy: 'dfs' });
-      expect(path).toHaveLength(5);
-      expect(path[0]).toBe('A');
-      // DFS goes deep before going wide
+    test('should accept a weight function', () => {
+      const result = graph.shortestPath('A', 'D', { weight: edge => (edge.to === 'C' ? 100 : 1) });
+      expect(result.path).toEqual(['A', 'B', 'D']);
+      expect(result.cost).toBe(2);
     });
 
-    test('should work with DFS in incoming direction', () => {
-      const testGraph = new DependencyGraph();
-      testGraph.addEdge('B', 'A', 'link');
-      testGraph.addEdge('C', 'A', 'link');
-      testGraph.addEdge('D', 'B', 'link');
-      testGraph.addEdge('E', 'C', 'link');
+    test('should pick the cheapest of several parallel edges', () => {
+      graph.addEdge('A', 'D', 'shortcut', { weight: 2 });
+      graph.addEdge('A', 'D', 'detour', { weight: 50 });
+      const result = graph.shortestPath('A', 'D', { weight: 'weight' });
+      expect(result.edges).toEqual([{ from: 'A', to: 'D', type: 'shortcut', data: { weight: 2 } }]);
+      expect(graph.shortestPath('A', 'D', { weight: 'weight', edgeTypes: ['link', 'detour'] }).cost).toBe(3);
+    });
 
-      const path = testGraph.traverse('A', { direction: 'incoming', strategy: 'dfs' });
-      expect(path).toHaveLength(5);
-      expect(path).toContain('A');
-      expect(path).toContain('B');
-      expect(path).toContain('C');
-      expect(path).toContain('D');
-      expect(path).toContain('E');
+    test('should follow edges backwards in incoming direction', () => {
+      const result = graph.shortestPath('D', 'A', { direction: 'incoming', weight: 'weight' });
+      expect(result.path).toEqual(['D', 'E', 'C', 'A']);
+      expect(result.edges[0]).toEqual({ from: 'E', to: 'D', type: 'link', data: { weight: 1 } });
     });
 
-    test('should work with DFS and edge type filtering', () => {
-      const testGraph = new DependencyGraph();
-      testGraph.addEdge('A', 'B', 'type1');
-      testGraph.addEdge('A', 'C', 'type2');
-      testGraph.addEdge('B', 'D', 'type1');
+    test('should return null when the target is unreachable', () => {
+      expect(graph.shortestPath('A', 'F')).toBeNull();
+      expect(graph.shortestPath('D', 'A')).toBeNull();
+      expect(graph.shortestPath('A', 'missing')).toBeNull();
+      expect(graph.shortestPath('A', 'D', { edgeTypes: 'other' })).toBeNull();
+    });
 
-      const path = testGraph.traverse('A', { strategy: 'dfs', edgeTypes: 'type1' });
-      expect(path).toEqual(['A', 'B', 'D']);
+    test('should return an empty path from a node to itself', () => {
+      expect(graph.shortestPath('A', 'A', { weight: 'weight' })).toEqual({ path: ['A'], edges: [], cost: 0 });
+    });
+
+    test('should reject invalid weights', () => {
+      graph.addEdge('A', 'G', 'link', { weight: -1 });
+      expect(() => graph.shortestPath('A', 'D', { weight: 'weight' })).toThrow("Invalid weight for edge 'A->G' of type 'link'.");
+      expect(() => graph.shortestPath('A', 'D', { weight: 'cost' })).toThrow('Invalid weight');
     });
   });
 
-  describe('Circular Dependency Detection', () => {
-    test('should return false for a graph with no cycles', () => {
+  describe('Reachability Cache', () => {
+    let cached;
+
+    beforeEach(() => {
+      cached = new DependencyGraph({ reachabilityCache: true });
+      cached.addEdge('A', 'B', 'formula');
+      cached.addEdge('B', 'C', 'formula');
+      cached.addEdge('C', 'D', 'link');
+      cached.addEdge('X', 'Y', 'formula');
+    });
+
+    test('should answer reachability with and without the cache', () => {
+      for (const graph of [cached, DependencyGraph.deserialize(cached.serialize())]) {
+        expect(graph.isReachable('A', 'D')).toBe(true);
+        expect(graph.isReachable('D', 'A')).toBe(false);
+        expect(graph.isReachable('D', 'A', { direction: 'incoming' })).toBe(true);
+        expect(graph.isReachable('A', 'D', { edgeTypes: 'formula' })).toBe(false);
+        expect(graph.isReachable('A', 'Y')).toBe(false);
+        expect(graph.isReachable('A', 'missing')).toBe(false);
+      }
+    });
+
+    test('should only report a node as reaching itself when it is on a cycle', () => {
+      expect(cached.isReachable('A', 'A')).toBe(false);
+      cached.addEdge('C', 'A', 'formula');
+      expect(cached.isReachable('A', 'A')).toBe(true);
+      expect(cached.getDependents('A')).toEqual(['B', 'C', 'D']);
+    });
+
+    test('should return the same results as an uncached traversal', () => {
+      const plain = DependencyGraph.deserialize(cached.serialize());
+      cached.addEdge('A', 'X', 'link');
+      plain.addEdge('A', 'X', 'link');
+
+      for (const nodeId of ['A', 'B', 'D', 'Y']) {
+        expect(cached.getDependents(nodeId)).toEqual(plain.getDependents(nodeId));
+        expect(cached.getDependencies(nodeId)).toEqual(plain.getDependencies(nodeId));
+        expect(cached.getDependents(nodeId, { edgeTypes: 'formula' }))
+          .toEqual(plain.getDependents(nodeId, { edgeTypes: 'formula' }));
+      }
+      expect(cached.getDependents('missing')).toEqual(plain.getDependents('missing'));
+    });
+
+    test('should reuse cached results until a change affects them', () => {
+      const spy = jest.spyOn(cached, '_getNeighborEdges');
+      cached.getDependents('A');
+      const calls = spy.mock.calls.length;
+
+      expect(cached.getDependents('A')).toEqual(['B', 'C', 'D']);
+      expect(cached.isReachable('A', 'C')).toBe(true);
+      cached.updateNodeData('B', { value: 1 });
+      cached.addEdge('X', 'Z', 'formula');
+      expect(cached.getDependents('A')).toEqual(['B', 'C', 'D']);
+      expect(spy.mock.calls.length).toBe(calls);
+
+      spy.mockRestore();
+    });
+
+    test('should invalidate on addEdge, removeEdge and removeNode', () => {
+      expect(cached.getDependents('A')).toEqual(['B', 'C', 'D']);
+      expect(cached.getDependencies('Y')).toEqual(['X']);
+
+      cached.addEdge('D', 'X', 'link');
+      expect(cached.getDependents('A')).toEqual(['B', 'C', 'D', 'X', 'Y']);
+      expect(cached.getDependencies('Y')).toEqual(['X', 'D', 'C', 'B', 'A']);
+
+      cached.removeEdge('B', 'C');
+      expect(cached.getDependents('A')).toEqual(['B']);
+      expect(cached.isReachable('C', 'Y')).toBe(true);
+
+      cached.removeNode('X');
+      expect(cached.isReachable('C', 'Y')).toBe(false);
+      expect(cached.getDependencies('Y')).toEqual([]);
+    });
+
+    test('should stay consistent after rollbacks and undo', () => {
+      const graph = new DependencyGraph({ reachabilityCache: true, history: true });
+      graph.addEdge('A', 'B', 'formula');
+      expect(graph.isReachable('A', 'B')).toBe(true);
+
+      expect(() => graph.transaction(() => {
+        graph.removeEdge('A', 'B');
+        expect(graph.isReachable('A', 'B')).toBe(false);
+        throw new Error('abort');
+      })).toThrow('abort');
+      expect(graph.isReachable('A', 'B')).toBe(true);
+
+      graph.undo();
+      expect(graph.isReachable('A', 'B')).toBe(false);
+      graph.redo();
+      expect(graph.isReachable('A', 'B')).toBe(true);
+    });
+  });
+
+  describe('Path Enumeration', () => {
+    let graph;
+
+    beforeEach(() => {
+      // A -> B -> D, A -> C -> D, B -> C, D -> A
+      graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('B', 'D', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('D', 'A', 'formula');
+    });
+
+    test('should return every simple path between two nodes', () => {
+      const paths = graph.findPaths('A', 'D').map(result => result.path);
+      expect(paths).toHaveLength(3);
+      expect(paths).toContainEqual(['A', 'B', 'D']);
+      expect(paths).toContainEqual(['A', 'B', 'C', 'D']);
+      expect(paths).toContainEqual(['A', 'C', 'D']);
+    });
+
+    test('should annotate every hop with its edge type and data', () => {
+      const [first] = graph.findPaths('A', 'B');
+      expect(first).toEqual({
+        path: ['A', 'B'],
+        edges: [{ from: 'A', to: 'B', type: 'formula', data: { ref: 'A1' } }]
+      });
+    });
+
+    test('should report parallel edges as separate paths', () => {
+      graph.addEdge('A', 'B', 'format');
+      const paths = graph.findPaths('A', 'B');
+      expect(paths.map(result => result.edges[0].type)).toEqual(['formula', 'format']);
+      expect(graph.findPaths('A', 'B', { edgeTypes: 'format' })).toHaveLength(1);
+    });
+
+    test('should respect maxPaths and maxDepth', () => {
+      expect(graph.findPaths('A', 'D', { maxPaths: 2 })).toHaveLength(2);
+      const short = graph.findPaths('A', 'D', { maxDepth: 2 }).map(result => result.path);
+      expect(short).toHaveLength(2);
+      expect(short).not.toContainEqual(['A', 'B', 'C', 'D']);
+    });
+
+    test('should search backwards in incoming direction', () => {
+      const paths = graph.findPaths('D', 'A', { direction: 'incoming' }).map(result => result.path);
+      expect(paths).toHaveLength(3);
+      expect(paths).toContainEqual(['D', 'B', 'A']);
+    });
+
+    test('should handle unreachable, missing and identical nodes', () => {
+      graph.addNode('E');
+      expect(graph.findPaths('A', 'E')).toEqual([]);
+      expect(graph.findPaths('A', 'missing')).toEqual([]);
+      expect(graph.findPaths('A', 'A')).toEqual([{ path: ['A'], edges: [] }]);
+    });
+  });
+
+  describe('Critical Path', () => {
+    let graph;
+
+    beforeEach(() => {
+      //   fetch -> compile -> test -> deploy
+      //   fetch -> lint ------------> deploy
+      graph = new DependencyGraph();
+      graph.addNode('fetch', { time: 2 });
+      graph.addNode('compile', { time: 3 });
+      graph.addNode('lint', { time: 1 });
+      graph.addNode('test', { time: 4 });
+      graph.addNode('deploy', { time: 2 });
+      graph.addEdge('fetch', 'compile', 'step');
+      graph.addEdge('fetch', 'lint', 'step');
+      graph.addEdge('compile', 'test', 'step');
+      graph.addEdge('lint', 'deploy', 'step', { wait: 10 });
+      graph.addEdge('test', 'deploy', 'step');
+    });
+
+    test('should find the longest path by node duration', () => {
+      const result = graph.criticalPath({ duration: 'time' });
+
+      expect(result.path).toEqual(['fetch', 'compile', 'test', 'deploy']);
+      expect(result.edges.map(edge => edge.to)).toEqual(['compile', 'test', 'deploy']);
+      expect(result.duration).toBe(11);
+      expect(result.schedule.get('lint')).toEqual({
+        earliestStart: 2,
+        earliestFinish: 3,
+        latestStart: 8,
+        latestFinish: 9,
+        slack: 6
+      });
+      expect(Array.from(result.schedule).filter(([, entry]) => entry.slack === 0).map(([nodeId]) => nodeId))
+        .toEqual(['fetch', 'compile', 'test', 'deploy']);
+    });
+
+    test('should add edge weights', () => {
+      const result = graph.criticalPath({ duration: (nodeId, data) => data.time, weight: edge => edge.data.wait || 0 });
+
+      expect(result.path).toEqual(['fetch', 'lint', 'deploy']);
+      expect(result.duration).toBe(2 + 1 + 10 + 2);
+      expect(result.schedule.get('test').slack).toBe(4);
+    });
+
+    test('should count nodes or edges by default', () => {
+      expect(graph.criticalPath().duration).toBe(4);
+      expect(graph.criticalPath({ weight: () => 1 }).duration).toBe(3);
+      expect(graph.criticalPath({ edgeTypes: 'other' }).path).toEqual(['fetch']);
+      expect(new DependencyGraph().criticalPath()).toEqual({ path: [], edges: [], duration: 0, schedule: new Map() });
+    });
+
+    test('should keep zero-cost nodes and edges at either end of the path', () => {
+      const chain = new DependencyGraph();
+      chain.addEdge('A', 'B', 'step', { weight: 0 });
+      chain.addEdge('B', 'C', 'step', { weight: 3 });
+      chain.addEdge('C', 'D', 'step', { weight: 0 });
+      const result = chain.criticalPath({ weight: 'weight' });
+      expect(result.path).toEqual(['A', 'B', 'C', 'D']);
+      expect(result.duration).toBe(3);
+      expect(Array.from(result.schedule.values()).every(entry => entry.slack === 0)).toBe(true);
+
+      const build = new DependencyGraph();
+      build.addNode('fetch', { d: 0 });
+      build.addNode('build', { d: 5 });
+      build.addNode('notify', { d: 0 });
+      build.addEdge('fetch', 'build', 'step');
+      build.addEdge('build', 'notify', 'step');
+      expect(build.criticalPath({ duration: 'd' }).path).toEqual(['fetch', 'build', 'notify']);
+    });
+
+    test('should reject cycles and invalid durations', () => {
+      expect(() => graph.criticalPath({ duration: 'missing' })).toThrow("Invalid duration for node 'fetch'.");
+      expect(() => graph.criticalPath({ weight: 'wait' })).toThrow("Invalid weight for edge 'fetch->compile' of type 'step'.");
+
+      graph.addEdge('deploy', 'fetch', 'step');
+      expect(() => graph.criticalPath()).toThrow(CircularDependencyError);
+    });
+  });
+
+  describe('Transitive Reduction and Closure', () => {
+    const edgeList = (g) => Array.from(g.nodes.keys())
+      .flatMap(nodeId => g.getOutgoingEdges(nodeId))
+      .map(edge => `${edge.from}-${edge.type}->${edge.to}`)
+      .sort();
+
+    test('should drop edges implied by longer paths', () => {
       const graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'link');
-      graph.addEdge('B', 'C', 'link');
-      expect(graph.hasCircularDependency()).toBe(false);
-      expect(graph.findCircularDependency()).toBeNull();
+      graph.addNode('A', { value: 1 });
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('A', 'D', 'formula');
+      graph.addEdge('B', 'D', 'formula');
+
+      const reduced = graph.transitiveReduction();
+      expect(edgeList(reduced)).toEqual(['A-formula->B', 'B-formula->C', 'C-formula->D']);
+      expect(Array.from(reduced.nodes.keys())).toEqual(['A', 'B', 'C', 'D']);
+      expect(reduced.getNodeData('A')).toEqual({ value: 1 });
+      expect(graph.hasEdge('A', 'C')).toBe(true);
     });
 
-    test('should detect a simple cycle', () => {
+    test('should keep edges that are the only route', () => {
       const graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'link');
-      graph.addEdge('B', 'A', 'link');
-      expect(graph.hasCircularDependency()).toBe(true);
-      expect(graph.findCircularDependency()).toEqual(['A', 'B', 'A']);
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('B', 'D', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+
+      const reduced = graph.transitiveReduction();
+      expect(edgeList(reduced)).toEqual(edgeList(graph));
+      expect(reduced.getEdge('A', 'B').data).toEqual({ ref: 'A1' });
     });
 
-    test('should detect a longer cycle', () => {
+    test('should keep or drop parallel edges together', () => {
       const graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'link');
-      graph.addEdge('B', 'C', 'link');
-      graph.addEdge('C', 'A', 'link');
-      expect(graph.hasCircularDependency()).toBe(true);
-      expect(graph.findCircularDependency()).toEqual(['A', 'B', 'C', 'A']);
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('A', 'B', 'format');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('A', 'C', 'format');
+
+      expect(edgeList(graph.transitiveReduction())).toEqual(['A-format->B', 'A-formula->B', 'B-formula->C']);
+      expect(edgeList(graph.transitiveReduction({ edgeTypes: 'format' }))).toEqual(['A-format->B', 'A-format->C']);
     });
 
-    test('should not detect a cycle when filtered by edge type', () => {
+    test('should refuse to reduce a cyclic graph', () => {
       const graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'type1');
-      graph.addEdge('B', 'A', 'type2');
-      expect(graph.hasCircularDependency({ edgeTypes: 'type1' })).toBe(false);
-      expect(graph.findCircularDependency({ edgeTypes: 'type1' })).toBeNull();
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'A', 'formula');
+      expect(() => graph.transitiveReduction()).toThrow(CircularDependencyError);
     });
-    
-    test('should detect a cycle when the type matches the filter', () => {
+
+    test('should link every node to every node it reaches', () => {
       const graph = new DependencyGraph();
-      graph.addEdge('A', 'B', 'type1');
-      graph.addEdge('B', 'C', 'type1');
-      graph.addEdge('C', 'A', 'type2'); // This edge is not part of the cycle
-      graph.addEdge('C', 'B', 'type1'); // This creates a B->C->B cycle
-      expect(graph.hasCircularDependency({ edgeTypes: 'type1' })).toBe(true);
-      expect(graph.findCircularDependency({ edgeTypes: 'type1' })).toEqual(['B', 'C', 'B']);
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.addEdge('B', 'C', 'formula');
+      graph.addNode('D');
+
+      const closure = graph.transitiveClosure();
+      expect(edgeList(closure)).toEqual(['A-formula->B', 'A-transitive->C', 'B-formula->C']);
+      expect(closure.getEdge('A', 'B').data).toEqual({ ref: 'A1' });
+      expect(closure.hasNode('D')).toBe(true);
+      expect(edgeList(graph.transitiveClosure({ type: 'reaches' }))).toContain('A-reaches->C');
+    });
+
+    test('should add self-referencing edges for nodes on a cycle', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'A', 'formula');
+      graph.addEdge('B', 'C', 'other');
+
+      expect(edgeList(graph.transitiveClosure({ edgeTypes: 'formula' }))).toEqual([
+        'A-formula->B', 'A-transitive->A', 'B-formula->A', 'B-transitive->B'
+      ]);
+    });
+  });
+
+  describe('Dominators and Articulation Nodes', () => {
+    test('should build the dominator tree', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('R', 'A', 'formula');
+      graph.addEdge('R', 'B', 'formula');
+      graph.addEdge('A', 'C', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('D', 'E', 'formula');
+      graph.addEdge('E', 'C', 'formula');
+      graph.addEdge('D', 'F', 'formula');
+      graph.addEdge('X', 'A', 'formula');
+
+      expect(graph.getDominatorTree('R')).toEqual({
+        node: 'R',
+        children: [
+          { node: 'A', children: [] },
+          { node: 'B', children: [] },
+          {
+            node: 'C',
+            children: [{ node: 'D', children: [{ node: 'E', children: [] }, { node: 'F', children: [] }] }]
+          }
+        ]
+      });
+    });
+
+    test('should follow edge types and direction', () => {
+      const graph = new DependencyGraph();
+      graph.addEdge('In1', 'Mid', 'formula');
+      graph.addEdge('In2', 'Mid', 'formula');
+      graph.addEdge('Mid', 'KPI', 'formula');
+      graph.addEdge('In2', 'KPI', 'link');
+
+      expect(graph.getDominatorTree('KPI', { direction: 'incoming' })).toEqual({
+        node: 'KPI',
+        children: [{ node: 'Mid', children: [{ node: 'In1', children: [] }] }, { node: 'In2', children: [] }]
+      });
+      expect(graph.getDominatorTree('KPI', { direction: 'incoming', edgeTypes: 'formula' })).toEqual({
+        node: 'KPI',
+        children: [{ node: 'Mid', children: [{ node: 'In1', children: [] }, { node: 'In2', children: [] }] }]
+      });
+      expect(graph.getDominatorTree('missing')).toBeNull();
+    });
+
+    test('should find articulation nodes ignoring direction', () => {
+      const graph = new DependencyGraph();
+      // Two triangles joined at C, plus a tail C -> D -> E
+      graph.addEdge('A', 'B', 'formula');
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('C', 'A', 'formula');
+      graph.addEdge('C', 'F', 'formula');
+      graph.addEdge('G', 'F', 'formula');
+      graph.addEdge('C', 'G', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('D', 'E', 'formula');
+      graph.addEdge('E', 'E', 'formula');
+      graph.addNode('Z');
+
+      expect(graph.getArticulationNodes()).toEqual(['C', 'D']);
+
+      graph.addEdge('E', 'A', 'link');
+      expect(graph.getArticulationNodes()).toEqual(['C']);
+      expect(graph.getArticulationNodes({ edgeTypes: 'formula' })).toEqual(['C', 'D']);
+    });
+
+    test('should find articulation nodes on long chains without overflowing', () => {
+      const graph = new DependencyGraph();
+      for (let i = 0; i < 20000; i++) {
+        graph.addEdge(`N${i}`, `N${i + 1}`, 'formula');
+      }
+      expect(graph.getArticulationNodes()).toHaveLength(19999);
+    });
+  });
+
+  describe('Subgraph Extraction', () => {
+    let graph;
+
+    beforeEach(() => {
+      // A -> B -> C -> D, A -> C, E -> B
+      graph = new DependencyGraph();
+      graph.addNode('A', { value: 1 });
+      graph.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      graph.addEdge('B', 'C', 'formula');
+      graph.addEdge('C', 'D', 'formula');
+      graph.addEdge('A', 'C', 'format');
+      graph.addEdge('E', 'B', 'formula');
+    });
+
+    const edgeList = (g) => Array.from(g.nodes.keys())
+      .flatMap(nodeId => g.getOutgoingEdges(nodeId))
+      .map(edge => `${edge.from}-${edge.type}->${edge.to}`);
+
+    test('should keep the selected nodes and the edges between them', () => {
+      const sub = graph.subgraph(['A', 'B', 'C', 'missing']);
+      expect(sub).toBeInstanceOf(DependencyGraph);
+      expect(Array.from(sub.nodes.keys())).toEqual(['A', 'B', 'C']);
+      expect(edgeList(sub)).toEqual(['A-formula->B', 'A-format->C', 'B-formula->C']);
+      expect(sub.getNodeData('A')).toEqual({ value: 1 });
+      expect(sub.getEdge('A', 'B').data).toEqual({ ref: 'A1' });
+    });
+
+    test('should filter subgraph edges by type', () => {
+      const sub = graph.subgraph(['A', 'B', 'C'], { edgeTypes: 'formula' });
+      expect(edgeList(sub)).toEqual(['A-formula->B', 'B-formula->C']);
+    });
+
+    test('should not modify the original graph', () => {
+      const sub = graph.subgraph(['A', 'B']);
+      sub.removeNode('A');
+      expect(graph.hasEdge('A', 'B')).toBe(true);
+    });
+
+    test('should extract the direct neighborhood by default', () => {
+      const region = graph.neighborhood('B');
+      expect(Array.from(region.nodes.keys())).toEqual(['B', 'C']);
+    });
+
+    test('should follow the requested depth and direction', () => {
+      expect(Array.from(graph.neighborhood('B', { depth: 2 }).nodes.keys())).toEqual(['B', 'C', 'D']);
+      expect(Array.from(graph.neighborhood('C', { direction: 'incoming', depth: 2 }).nodes.keys())).toEqual(['C', 'B', 'A', 'E']);
+      expect(Array.from(graph.neighborhood('B', { direction: 'both' }).nodes.keys())).toEqual(['B', 'C', 'A', 'E']);
+      expect(Array.from(graph.neighborhood('A', { depth: Infinity, edgeTypes: 'format' }).nodes.keys())).toEqual(['A', 'C']);
+    });
+
+    test('should include every edge between the extracted nodes', () => {
+      const region = graph.neighborhood('A', { depth: 1 });
+      expect(edgeList(region)).toEqual(['A-formula->B', 'A-format->C', 'B-formula->C']);
+    });
+
+    test('should return an empty graph for a missing node', () => {
+      expect(graph.neighborhood('missing').nodes.size).toBe(0);
     });
   });
 
@@ -295,6 +2234,86 @@ describe('DependencyGraph', () => {
     });
   });
 
+  describe('Diff and Patch', () => {
+    let before;
+    let after;
+
+    beforeEach(() => {
+      before = new DependencyGraph();
+      before.addNode('A', { value: 1 });
+      before.addEdge('A', 'B', 'formula', { ref: 'A1' });
+      before.addEdge('B', 'C', 'formula');
+      before.addEdge('C', 'D', 'format');
+
+      after = DependencyGraph.deserialize(before.serialize());
+      after.setNodeData('A', { value: 2 });
+      after.removeNode('D');
+      after.addNode('E', { value: 5 });
+      after.addEdge('B', 'E', 'formula');
+      after.updateEdgeData('A', 'B', { absolute: true });
+      after.removeEdge('B', 'C', 'formula');
+      after.addEdge('B', 'C', 'format');
+    });
+
+    test('should describe added, removed and updated nodes and edges', () => {
+      const patch = DependencyGraph.diff(before, after);
+      expect(patch).toEqual({
+        nodes: {
+          added: [{ nodeId: 'E', data: { value: 5 } }],
+          removed: [{ nodeId: 'D', data: {} }],
+          updated: [{ nodeId: 'A', data: { value: 2 }, previousData: { value: 1 } }]
+        },
+        edges: {
+          added: [
+            { from: 'B', to: 'E', type: 'formula', data: {} },
+            { from: 'B', to: 'C', type: 'format', data: {} }
+          ],
+          removed: [
+            { from: 'B', to: 'C', type: 'formula', data: {} },
+            { from: 'C', to: 'D', type: 'format', data: {} }
+          ],
+          updated: [
+            { from: 'A', to: 'B', type: 'formula', data: { ref: 'A1', absolute: true }, previousData: { ref: 'A1' } }
+          ]
+        }
+      });
+    });
+
+    test('should produce an empty patch for identical graphs', () => {
+      const copy = DependencyGraph.deserialize(before.serialize());
+      const patch = DependencyGraph.diff(before, copy);
+      expect(patch.nodes).toEqual({ added: [], removed: [], updated: [] });
+      expect(patch.edges).toEqual({ added: [], removed: [], updated: [] });
+    });
+
+    test('should turn the original graph into the updated one when applied', () => {
+      const patch = JSON.parse(JSON.stringify(DependencyGraph.diff(before, after)));
+      expect(before.applyPatch(patch)).toBe(before);
+
+      const remaining = DependencyGraph.diff(before, after);
+      expect(remaining.nodes).toEqual({ added: [], removed: [], updated: [] });
+      expect(remaining.edges).toEqual({ added: [], removed: [], updated: [] });
+    });
+
+    test('should apply a patch as a single change', () => {
+      const changes = [];
+      before.on('change', batch => changes.push(batch));
+      before.applyPatch(DependencyGraph.diff(before, after));
+      expect(changes).toHaveLength(1);
+    });
+
+    test('should leave the graph unchanged when applying a patch fails', () => {
+      const acyclic = new DependencyGraph({ acyclic: true });
+      acyclic.addEdge('A', 'B', 'formula');
+      const patch = {
+        nodes: { added: [{ nodeId: 'C', data: {} }] },
+        edges: { added: [{ from: 'B', to: 'A', type: 'formula', data: {} }] }
+      };
+      expect(() => acyclic.applyPatch(patch)).toThrow(CircularDependencyError);
+      expect(acyclic.hasNode('C')).toBe(false);
+    });
+  });
+
   describe('Tree Building (getTree)', () => {
     describe('Basic Tree Structure', () => {
       test('should build a basic outgoing tree', () => {
@@ -643,6 +2662,7 @@ describe('DependencyGraph', () => {
           parentNode: 'A',
           edgeType: 'type1',
           edgeData: { weight: 10 },
+          nodeData: {},
           siblings: []
         });
 
@@ -652,6 +2672,7 @@ describe('DependencyGraph', () => {
           parentNode: 'B',
           edgeType: 'type2',
           edgeData: { weight: 20 },
+          nodeData: {},
           siblings: []
         });
       });
@@ -0,0 +1,253 @@
+const WorkbookGraph = require('../lib/WorkbookGraph.js');
+const DependencyGraph = require('../lib/DependencyGraph.js');
+const { CircularDependencyError } = require('../lib/errors.js');
+
+describe('WorkbookGraph', () => {
+  let graph;
+
+  beforeEach(() => {
+    graph = new WorkbookGraph();
+  });
+
+  test('should be a DependencyGraph', () => {
+    expect(graph).toBeInstanceOf(DependencyGraph);
+    expect(graph.defaultSheet).toBe('Sheet1');
+    expect(new WorkbookGraph({ defaultSheet: 'Data' }).resolveReference('A1')).toBe('Data!A1');
+  });
+
+  describe('resolveReference', () => {
+    test('should qualify and normalize cell references', () => {
+      expect(graph.resolveReference('a1')).toBe('Sheet1!A1');
+      expect(graph.resolveReference('$B$2')).toBe('Sheet1!B2');
+      expect(graph.resolveReference('Sheet2!C3')).toBe('Sheet2!C3');
+      expect(graph.resolveReference("'My Sheet'!D4")).toBe('My Sheet!D4');
+      expect(graph.resolveReference("'Q1! Results'!A1:B2")).toBe('Q1! Results!A1:B2');
+      expect(graph.resolveReference('E5', { sheet: 'Sheet3' })).toBe('Sheet3!E5');
+    });
+
+    test('should qualify and normalize range references', () => {
+      expect(graph.resolveReference('A1:$B$5')).toBe('Sheet1!A1:B5');
+      expect(graph.resolveReference('Sheet2!A1:Sheet2!B2')).toBe('Sheet2!A1:B2');
+      expect(graph.resolveReference('c:c')).toBe('Sheet1!C:C');
+      expect(graph.resolveReference('1:3', { sheet: 'Data' })).toBe('Data!1:3');
+    });
+
+    test('should reject invalid references', () => {
+      expect(() => graph.resolveReference('not a cell')).toThrow("Invalid cell reference 'not a cell'.");
+      expect(() => graph.resolveReference('A1:B')).toThrow("Invalid cell reference 'A1:B'.");
+      expect(() => graph.resolveReference('A1:B2:C3')).toThrow("Invalid cell reference 'A1:B2:C3'.");
+    });
+  });
+
+  describe('setFormula', () => {
+    test('should link the formula cell to every referenced cell and range', () => {
+      const references = graph.setFormula('B1', '=SUM(A1:A3) + $C$1 + Sheet2!D4');
+
+      expect(references).toEqual(['Sheet1!C1', 'Sheet2!D4', 'Sheet1!A1:A3']);
+      expect(graph.getFormula('B1')).toBe('=SUM(A1:A3) + $C$1 + Sheet2!D4');
+      expect(graph.getDependencies('Sheet1!B1')).toEqual(['Sheet1!C1', 'Sheet2!D4', 'Sheet1!A1:A3']);
+      expect(graph.hasNode('Sheet1!A1')).toBe(false);
+      expect(graph.getEdge('Sheet1!B1', 'Sheet1!C1').type).toBe('formula');
+      expect(graph.hasEdge('Sheet1!C1', 'Sheet1!B1')).toBe(false);
+      expect(graph.getDependents('Sheet1!C1')).toEqual(['Sheet1!B1']);
+      expect(graph.getNodeData('Sheet1!A1:A3')).toEqual({ range: { sheet: 'Sheet1', columns: [1, 1], rows: [1, 3] } });
+    });
+
+    test('should qualify unqualified references with the owning sheet', () => {
+      graph.setFormula('B1', '=A1 + Sheet1!A2 + SUM(Sheet3!A1:B2)', { sheet: 'Sheet2' });
+
+      expect(graph.getDependencies('Sheet2!B1')).toEqual(['Sheet2!A1', 'Sheet1!A2', 'Sheet3!A1:B2']);
+      expect(graph.getFormula('B1', { sheet: 'Sheet2' })).toBe('=A1 + Sheet1!A2 + SUM(Sheet3!A1:B2)');
+      expect(graph.getFormula('Sheet2!B1')).toBe('=A1 + Sheet1!A2 + SUM(Sheet3!A1:B2)');
+    });
+
+    test('should keep direct references to cells that are also range endpoints', () => {
+      expect(graph.setFormula('B1', '=A1 + SUM(A1:A3)')).toEqual(['Sheet1!A1', 'Sheet1!A1:A3']);
+      graph.markDirty('Sheet1!A1');
+      expect(graph.getRecalcPlan()).toEqual([{ nodeId: 'Sheet1!A1' }, { nodeId: 'Sheet1!A1:A3' }, { nodeId: 'Sheet1!B1' }]);
+
+      expect(graph.setFormula('B2', '=A3 + SUM(Sheet2!A1:A3)')).toEqual(['Sheet1!A3', 'Sheet2!A1:A3']);
+      graph.setFormula('A3', 5);
+      expect(graph.getDependents('Sheet1!A3')).toEqual(['Sheet1!A1:A3', 'Sheet1!B2', 'Sheet1!B1']);
+    });
+
+    test('should not treat range endpoints as references of their own', () => {
+      expect(graph.setFormula('B1', '=SUM(Sheet2!A1:A3)')).toEqual(['Sheet2!A1:A3']);
+      expect(graph.hasNode('Sheet1!A3')).toBe(false);
+      expect(graph.hasNode('Sheet2!A3')).toBe(false);
+
+      expect(graph.setFormula('B2', '=SUM(Sheet2!A1:B2, C1:B2)')).toEqual(['Sheet1!C1:B2', 'Sheet2!A1:B2']);
+      expect(graph.setFormula('B3', "=B3 + SUM('My Sheet'!A1:$B$3)")).toEqual(['Sheet1!B3', 'My Sheet!A1:B3']);
+    });
+
+    test('should remove stale references on re-edit', () => {
+      graph.setFormula('C1', '=A1 + B1 + SUM(D1:D5)');
+      graph.setFormula('C1', '=B1 + E1');
+
+      expect(graph.getDependencies('Sheet1!C1')).toEqual(['Sheet1!B1', 'Sheet1!E1']);
+      expect(graph.hasEdge('Sheet1!A1', 'Sheet1!C1')).toBe(false);
+      // Referenced cells stay, unused ranges go
+      expect(graph.hasNode('Sheet1!A1')).toBe(true);
+      expect(graph.hasNode('Sheet1!D1:D5')).toBe(false);
+    });
+
+    test('should keep ranges other formulas still use', () => {
+      graph.setFormula('B1', '=SUM(A1:A3)');
+      graph.setFormula('B2', '=SUM(A1:A3)');
+      graph.setFormula('B1', '=1');
+
+      expect(graph.getDependents('Sheet1!A1:A3')).toEqual(['Sheet1!B2']);
+      expect(graph.getDependencies('Sheet1!B1')).toEqual([]);
+    });
+
+    test('should store values without references', () => {
+      graph.setFormula('A1', '=B1');
+      graph.setFormula('A1', 42);
+
+      expect(graph.getFormula('A1')).toBe(42);
+      expect(graph.getDependencies('Sheet1!A1')).toEqual([]);
+
+      graph.setFormula('A2', 'not a formula');
+      expect(graph.getDependencies('Sheet1!A2')).toEqual([]);
+    });
+
+    test('should ignore names that are not cell references', () => {
+      expect(graph.setFormula('B1', '=Total * A1 + SUM(Table1[Col])')).toEqual(['Sheet1!A1']);
+      expect(graph.getDependencies('Sheet1!B1')).toEqual(['Sheet1!A1']);
+    });
+
+    test('should keep other node data', () => {
+      graph.addNode('Sheet1!A1', { value: 3 });
+      graph.setFormula('A1', '=B1');
+      expect(graph.getNodeData('Sheet1!A1')).toEqual({ value: 3, formula: '=B1' });
+    });
+
+    test('should reject ranges and invalid cells as formula targets', () => {
+      expect(() => graph.setFormula('A1:B2', '=C1')).toThrow("Invalid cell reference 'A1:B2'.");
+      expect(() => graph.setFormula('total', '=C1')).toThrow("Invalid cell reference 'total'.");
+      expect(graph.nodes.size).toBe(0);
+    });
+  });
+
+  describe('Ranges', () => {
+    test('should link cells inside a range to it', () => {
+      graph.setFormula('A2', 5);
+      graph.setFormula('C1', 7);
+      graph.setFormula('B1', '=SUM(A1:A3)');
+      graph.setFormula('A3', '=C1');
+      graph.setFormula('A4', 1);
+
+      expect(graph.getDependents('Sheet1!A2')).toEqual(['Sheet1!A1:A3', 'Sheet1!B1']);
+      expect(graph.getDependents('Sheet1!C1')).toEqual(['Sheet1!A3', 'Sheet1!A1:A3', 'Sheet1!B1']);
+      expect(graph.getDependents('Sheet1!A4')).toEqual([]);
+      expect(graph.getEdge('Sheet1!A1:A3', 'Sheet1!A2').type).toBe('range');
+    });
+
+    test('should link cells however they are added', () => {
+      graph.setFormula('B1', '=SUM(A1:A3)');
+      graph.addNode('Sheet1!A2', { value: 5 });
+      graph.addEdge('Sheet1!A4', 'Sheet1!A3', 'formula');
+
+      expect(graph.getDependents('Sheet1!A2')).toEqual(['Sheet1!A1:A3', 'Sheet1!B1']);
+      expect(graph.getDependents('Sheet1!A3')).toEqual(['Sheet1!A1:A3', 'Sheet1!A4', 'Sheet1!B1']);
+      expect(graph.hasEdge('Sheet1!A1:A3', 'Sheet1!A4')).toBe(false);
+
+      graph.addNode('Sheet1!A1:A2', { range: { sheet: 'Sheet1', columns: [1, 1], rows: [1, 2] } });
+      expect(graph.getDependencies('Sheet1!A1:A2')).toEqual(['Sheet1!A2']);
+    });
+
+    test('should report a new cell together with its range edges', () => {
+      graph.setFormula('B1', '=SUM(A1:A3)');
+      const changes = [];
+      graph.on('change', batch => changes.push(batch.map(change => change.type)));
+
+      graph.addNode('Sheet1!A2');
+      expect(changes).toEqual([['nodeAdded', 'edgeAdded']]);
+    });
+
+    test('should link whole columns and rows on the same sheet only', () => {
+      graph.setFormula('B1', '=SUM(A:A) + SUM(3:3)');
+      graph.setFormula('A100', 1);
+      graph.setFormula('Z3', 2);
+      graph.setFormula('A1', 3, { sheet: 'Sheet2' });
+
+      expect(graph.getDependents('Sheet1!A100')).toEqual(['Sheet1!A:A', 'Sheet1!B1']);
+      expect(graph.getDependents('Sheet1!Z3')).toEqual(['Sheet1!3:3', 'Sheet1!B1']);
+      expect(graph.getDependents('Sheet2!A1')).toEqual([]);
+    });
+
+    test('should detect circular references through ranges', () => {
+      graph.setFormula('A1', 1);
+      graph.setFormula('A2', '=SUM(A1:A3)');
+
+      expect(graph.hasCircularDependency()).toBe(true);
+      graph.markDirty('Sheet1!A1');
+      expect(graph.getRecalcPlan()).toEqual([{ nodeId: 'Sheet1!A1' }, { cycle: ['Sheet1!A1:A3', 'Sheet1!A2'] }]);
+    });
+  });
+
+  describe('Serialization', () => {
+    test('should round-trip a workbook with its sheet and ranges', () => {
+      const workbook = new WorkbookGraph({ defaultSheet: 'Data' });
+      workbook.setFormula('B1', '=SUM(A1:A3) + C1');
+
+      const restored = WorkbookGraph.deserialize(workbook.serialize());
+      expect(restored).toBeInstanceOf(WorkbookGraph);
+      expect(restored.defaultSheet).toBe('Data');
+      expect(restored.getFormula('B1')).toBe('=SUM(A1:A3) + C1');
+      expect(DependencyGraph.diff(workbook, restored)).toEqual(DependencyGraph.diff(workbook, workbook));
+
+      // The restored range is tracked, so new cells are linked to it
+      restored.setFormula('A2', 5);
+      expect(restored.getDependents('Data!A2')).toEqual(['Data!A1:A3', 'Data!B1']);
+      restored.setFormula('C2', '=B1', { sheet: 'Other' });
+      expect(restored.getDependencies('Other!C2')).toEqual(['Other!B1']);
+    });
+  });
+
+  describe('Transactions and history', () => {
+    test('should leave the graph unchanged when an edge is rejected', () => {
+      const acyclic = new WorkbookGraph({ acyclic: true });
+      acyclic.setFormula('A1', '=B1');
+
+      expect(() => acyclic.setFormula('B1', '=A1 + C1')).toThrow(CircularDependencyError);
+      expect(acyclic.getFormula('B1')).toBeUndefined();
+      expect(acyclic.hasNode('Sheet1!C1')).toBe(false);
+      expect(acyclic.getDependents('Sheet1!B1')).toEqual(['Sheet1!A1']);
+    });
+
+    test('should undo a formula edit as a single step', () => {
+      const tracked = new WorkbookGraph({ history: true });
+      tracked.setFormula('A2', 1);
+      tracked.setFormula('B1', '=SUM(A1:A3)');
+      tracked.setFormula('B1', '=C1');
+      expect(tracked.hasNode('Sheet1!A1:A3')).toBe(false);
+
+      tracked.undo();
+      expect(tracked.getFormula('B1')).toBe('=SUM(A1:A3)');
+      expect(tracked.getDependents('Sheet1!A2')).toEqual(['Sheet1!A1:A3', 'Sheet1!B1']);
+
+      // The restored range is tracked again, so new cells are linked to it
+      tracked.setFormula('A3', 2);
+      expect(tracked.getDependents('Sheet1!A3')).toEqual(['Sheet1!A1:A3', 'Sheet1!B1']);
+    });
+
+    test('should undo and redo a cell together with its range edges', () => {
+      const tracked = new WorkbookGraph({ history: true });
+      tracked.setFormula('B1', '=SUM(A1:A3)');
+      tracked.addNode('Sheet1!A2', { value: 5 });
+
+      tracked.undo();
+      expect(tracked.hasNode('Sheet1!A2')).toBe(false);
+      expect(tracked.getDependencies('Sheet1!A1:A3')).toEqual([]);
+
+      tracked.redo();
+      expect(tracked.getDependents('Sheet1!A2')).toEqual(['Sheet1!A1:A3', 'Sheet1!B1']);
+      expect(tracked.getNodeData('Sheet1!A2')).toEqual({ value: 5 });
+      tracked.undo();
+      expect(tracked.canUndo).toBe(true);
+      tracked.undo();
+      expect(tracked.nodes.size).toBe(0);
+    });
+  });
+});